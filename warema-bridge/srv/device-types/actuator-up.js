@@ -0,0 +1,11 @@
+'use strict';
+
+const { createCoverType } = require('./cover');
+
+// Actuator UP (als Cover mit Lamellen)
+module.exports = createCoverType({
+  type: '21',
+  name: 'Actuator UP',
+  openPosition: 0,
+  tilt: true
+});
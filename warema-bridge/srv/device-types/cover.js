@@ -0,0 +1,151 @@
+'use strict';
+
+/**
+ * Device type definition of a cover (position, optional tilt and valance).
+ * @param {object} opts
+ * @param {string} opts.type - WMS device type
+ * @param {string} opts.name - Display name
+ * @param {number} opts.openPosition - Position of the open cover, 0 or 100
+ * @param {boolean} [opts.stateTopic] - Announce the state topic (open/closed/stopped) in the discovery
+ * @param {boolean|object} [opts.tilt] - Cover with slats, announce tilt topics. true: -100 (closed) to 100,
+ *   or { closed, opened } tilt values
+ * @param {string} [opts.deviceClass] - Home Assistant device class
+ * @param {function(object): string} [opts.coverState] - (device) -> open/closed/stopped of a cover at rest,
+ *   default: from the position
+ * @returns {object} Device type definition
+ */
+function createCoverType(opts) {
+  const openPosition = opts.openPosition;
+  const closedPosition = 100 - openPosition;
+  const tilt = opts.tilt === true ? { closed: -100, opened: 100 } : opts.tilt;
+  const coverState = opts.coverState || (dev => {
+    if (dev.position === openPosition) return 'open';
+    if (dev.position === closedPosition) return 'closed';
+    return 'stopped';
+  });
+
+  return {
+    type: opts.type,
+    name: opts.name,
+    receiver: true,
+    autoSettings: true,
+    clock: true,
+    coverState,
+
+    discovery(snr, base) {
+      const payload = {
+        ...base,
+        position_open: openPosition, // Homeassistant: Position des offenen Behangs
+        position_closed: closedPosition,
+        command_topic: `warema/${snr}/set`,
+        ...(opts.stateTopic ? { state_topic: `warema/${snr}/state` } : {}),
+        position_topic: `warema/${snr}/position`,
+        set_position_topic: `warema/${snr}/set_position`,
+        ...(tilt ? {
+          tilt_status_topic: `warema/${snr}/tilt`,
+          tilt_command_topic: `warema/${snr}/set_tilt`,
+          tilt_closed_value: tilt.closed,
+          tilt_opened_value: tilt.opened,
+          tilt_min: Math.min(tilt.closed, tilt.opened),
+          tilt_max: Math.max(tilt.closed, tilt.opened)
+        } : {}),
+        ...(opts.deviceClass ? { device_class: opts.deviceClass } : {})
+      };
+      return { [`homeassistant/cover/${snr}/${snr}/config`]: payload };
+    },
+
+    onPosition(ctx, snr, update) {
+      if (typeof update.angle !== "undefined") {
+        ctx.devices[snr].tilt = update.angle;
+        ctx.publish(`warema/${snr}/tilt`, '' + update.angle, { retain: true });
+      }
+      if (typeof update.position !== "undefined") {
+        ctx.devices[snr].position = update.position;
+        ctx.publish(`warema/${snr}/position`, '' + update.position, { retain: true });
+        if (update.moving === false) {
+          ctx.publish(`warema/${snr}/state`, coverState(ctx.devices[snr]), { retain: true });
+        }
+      }
+      // Volant (null: Empfänger ohne Volant)
+      for (const key of ['valance_1', 'valance_2']) {
+        if (update[key] === null || typeof update[key] === "undefined") continue;
+        ctx.devices[snr][key] = update[key];
+        ctx.publishValanceDiscovery(snr, key);
+        ctx.publish(`warema/${snr}/${key}`, '' + update[key], { retain: true });
+      }
+    },
+
+    commands: {
+      'set'(ctx, snr, message) {
+        switch (message) {
+          case 'CLOSE':
+            ctx.setCoverPosition(snr, closedPosition, 0);
+            ctx.publish(`warema/${snr}/state`, 'closing', { retain: false });
+            break;
+          case 'CLOSETILT':
+            ctx.setCoverPosition(snr, 0, 100);
+            ctx.publish(`warema/${snr}/state`, 'closing', { retain: false });
+            break;
+          case 'OPEN':
+          case 'OPENTILT':
+            ctx.setCoverPosition(snr, openPosition, 0);
+            ctx.publish(`warema/${snr}/state`, 'opening', { retain: false });
+            break;
+          case 'STOP':
+            ctx.stickOf(snr).instance.stop(snr)
+              .catch(err => ctx.log.warn(`Stop of ${snr} failed: ${err.message}`));
+            break;
+          default:
+            ctx.log.warn('Unrecognised set payload: ' + message);
+        }
+      },
+
+      'set_position'(ctx, snr, message) {
+        ctx.log.debug('Setting ' + snr + ' to ' + message);
+        ctx.setCoverPosition(snr, parseInt(message, 10));
+      },
+
+      'set_tilt'(ctx, snr, message) {
+        const tilt = parseInt(message, 10);
+        if (!Number.isFinite(tilt)) {
+          ctx.log.warn('Invalid tilt value: ' + message);
+          return;
+        }
+
+        const pos = parseInt(ctx.devices[snr]?.position ?? 0, 10);
+
+        ctx.log.debug('Setting ' + snr + ' tilt to ' + message + '°, position ' + pos);
+        ctx.setCoverPosition(snr, pos, tilt);
+      },
+
+      'valance_1/set'(ctx, snr, message) {
+        setValance(ctx, snr, 'valance_1', message);
+      },
+
+      'valance_2/set'(ctx, snr, message) {
+        setValance(ctx, snr, 'valance_2', message);
+      }
+    }
+  };
+}
+
+function setValance(ctx, snr, key, message) {
+  const valance = parseInt(message, 10);
+  if (!Number.isFinite(valance) || valance < 0 || valance > 100) {
+    ctx.log.warn('Invalid valance value: ' + message);
+    return;
+  }
+
+  // Position und Wendung beibehalten, andere Volant unverändert (FF)
+  const pos = parseInt(ctx.devices[snr]?.position ?? 0, 10);
+  const tilt = parseInt(ctx.devices[snr]?.tilt ?? 0, 10);
+
+  ctx.log.debug('Setting ' + snr + ' ' + key + ' to ' + valance);
+  if (key === 'valance_1') {
+    ctx.setCoverPosition(snr, pos, tilt, valance, undefined);
+  } else {
+    ctx.setCoverPosition(snr, pos, tilt, undefined, valance);
+  }
+}
+
+module.exports = { createCoverType };
@@ -0,0 +1,70 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Registry of the supported WMS device types. Every module in this directory that
+ * exports a device type definition (an object with `type`) is registered at load, so a
+ * new Warema product is supported by adding one module.
+ *
+ * @typedef {object} DeviceType
+ * @property {string} type - WMS device type as reported by the scan, ie: '25'
+ * @property {string} name - Display name, used as device model in Home Assistant
+ * @property {boolean} [receiver] - Added to the stick, polled and controlled (false: only sends, ie: weather broadcasts)
+ * @property {boolean} [transmitter] - Hand-held transmitter or central control: not added to the stick, always online
+ * @property {boolean} [autoSettings] - Has automatic settings (wind, rain, sun and dusk limits)
+ * @property {boolean} [clock] - Has a clock for the time automatics
+ * @property {string[]} [weatherValues] - Weather station: values of the weather broadcast it measures, of
+ *   lumen, temp, wind and rain
+ * @property {function(string, object): object} [discovery] - (snr, base payload) -> { topic: payload } of the HA discovery
+ * @property {function(object, string, object): void} [onPosition] - (ctx, snr, position update) publishes the state
+ * @property {function(object, string, object): void} [onWeather] - (ctx, snr, { raining, wind }) after each weather
+ *   broadcast: raining if any weather station reports rain, the highest wind of all stations in m/s
+ * @property {function(object, string, object): void} [onRemoteCommand] - (ctx, snr, command) for each command the
+ *   transmitter sent to its receivers: { action: 'move'|'stop', position, angle, valance_1, valance_2, receivers },
+ *   receivers: [{ snr, snrHex, name }] of the blinds the command was meant for
+ * @property {Object<string, function(object, string, string): void>} [commands] - MQTT command below
+ *   warema/<snr>/ -> handler (ctx, snr, payload)
+ *
+ * The context `ctx` passed to the handlers holds the bridge helpers: log, devices, publish,
+ * setCoverPosition, publishValanceDiscovery, stickOf, ledBrightness and saveLedBrightness.
+ */
+const types = new Map();
+
+/**
+ * Add a device type, replacing a registered one of the same type.
+ * @param {DeviceType} def - Device type definition
+ */
+function register(def) {
+  if (!/^[0-9A-F]{2}$/.test(def.type || '') || !def.name) {
+    throw new Error(`Invalid device type definition: ${JSON.stringify(def)}`);
+  }
+  types.set(def.type, def);
+}
+
+/**
+ * @param {string} type - WMS device type
+ * @returns {DeviceType|undefined} Definition of the type, undefined if not supported
+ */
+function get(type) {
+  return types.get(String(type).toUpperCase());
+}
+
+/**
+ * @returns {DeviceType[]} All registered device types
+ */
+function all() {
+  return Array.from(types.values());
+}
+
+for (const file of fs.readdirSync(__dirname).sort()) {
+  if (!file.endsWith('.js') || file === 'index.js') continue;
+  const def = require(path.join(__dirname, file));
+  // Hilfsmodule (z.B. cover.js) exportieren keinen Typ
+  if (def.type) {
+    register(def);
+  }
+}
+
+module.exports = { register, get, all };
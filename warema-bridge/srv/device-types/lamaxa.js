@@ -0,0 +1,135 @@
+'use strict';
+
+const { createCoverType } = require('./cover');
+
+// LAMAXA L50/60 Lamellendach: Position = Lamellenpaket (L60 verfahrbar, 100 = geschlossen),
+// Wendung = Lamellen 0 (geschlossen, dicht) bis 100 (offen)
+const cover = createCoverType({
+  type: '2A',
+  name: 'LAMAXA L50/60',
+  openPosition: 0,
+  stateTopic: true,
+  tilt: { closed: 0, opened: 100 },
+  deviceClass: 'awning',
+  // Geschlossen nur mit ausgefahrenem Paket und geschlossenen Lamellen
+  coverState: dev => {
+    if (dev.position === 100 && !(dev.tilt > 0)) return 'closed';
+    if (dev.position === 0 || dev.tilt > 0) return 'open';
+    return 'stopped';
+  }
+});
+
+/**
+ * Weather protection of the roof as done by the receiver's automatics: rain with rain automatic
+ * enabled, or wind at or above the wind limit of the receiver.
+ * @param {object} dev - Device state with the automatic settings read from the receiver
+ * @param {object} weather - { raining, wind }
+ * @returns {string|null} 'rain', 'wind' or null
+ */
+function protectionReason(dev, weather) {
+  const settings = dev.autoSettings;
+  if (settings.rainEnabled && weather.raining) return 'rain';
+  if (settings.windLimit > 0 && weather.wind >= settings.windLimit) return 'wind';
+  return null;
+}
+
+/**
+ * Opening commands are refused while the roof is protected, the receiver would not move anyway.
+ * @returns {boolean} true if the command may be sent
+ */
+function allowOpen(ctx, snr, command) {
+  const reason = ctx.devices[snr].weatherProtection;
+  if (!reason) return true;
+  ctx.log.info(`LAMAXA ${snr}: ${reason} protection active, ignoring ${command}`);
+  // Optimistischen Zustand in HA zurücksetzen
+  ctx.publish(`warema/${snr}/state`, cover.coverState(ctx.devices[snr]), { retain: true });
+  return false;
+}
+
+module.exports = {
+  ...cover,
+
+  discovery(snr, base) {
+    return {
+      ...cover.discovery(snr, base),
+      [`homeassistant/binary_sensor/${snr}/weather_protection/config`]: {
+        ...base,
+        name: 'Weather protection',
+        state_topic: `warema/${snr}/weather_protection`,
+        json_attributes_topic: `warema/${snr}/weather_protection/attributes`,
+        payload_on: 'ON',
+        payload_off: 'OFF',
+        icon: 'mdi:weather-lightning-rainy',
+        unique_id: `${snr}_weather_protection`,
+        default_entity_id: `binary_sensor.${snr}_weather_protection`
+      }
+    };
+  },
+
+  onWeather(ctx, snr, weather) {
+    const dev = ctx.devices[snr];
+    // Grenzwerte erst nach dem Lesen der Automatikeinstellungen bekannt
+    if (!dev.autoSettings) return;
+
+    const reason = protectionReason(dev, weather);
+    if (reason === dev.weatherProtection) return;
+
+    if (dev.weatherProtection !== undefined || reason) {
+      ctx.log.info(`LAMAXA ${snr}: weather protection ${reason ? 'on (' + reason + ')' : 'off'}`);
+    }
+    dev.weatherProtection = reason;
+    ctx.publish(`warema/${snr}/weather_protection`, reason ? 'ON' : 'OFF', { retain: true });
+    ctx.publish(`warema/${snr}/weather_protection/attributes`, JSON.stringify({
+      reason,
+      raining: weather.raining,
+      wind: weather.wind,
+      wind_limit: dev.autoSettings.windLimit,
+      rain_auto: dev.autoSettings.rainEnabled
+    }), { retain: true });
+
+    // Der Empfänger schließt selbst, Position zeitnah lesen
+    const stick = ctx.stickOf(snr);
+    if (reason && stick?.ready) {
+      stick.instance.vnBlindGetPosition(parseInt(snr, 10), { cmdConfirmation: false, callbackOnUnchangedPos: true });
+    }
+  },
+
+  commands: {
+    'set'(ctx, snr, message) {
+      const dev = ctx.devices[snr];
+      switch (message) {
+        case 'OPEN':
+          if (!allowOpen(ctx, snr, message)) return;
+          ctx.setCoverPosition(snr, 0, 100);
+          ctx.publish(`warema/${snr}/state`, 'opening', { retain: false });
+          break;
+        case 'OPENTILT':
+          if (!allowOpen(ctx, snr, message)) return;
+          ctx.setCoverPosition(snr, parseInt(dev.position ?? 100, 10), 100);
+          ctx.publish(`warema/${snr}/state`, 'opening', { retain: false });
+          break;
+        case 'CLOSE':
+          ctx.setCoverPosition(snr, 100, 0);
+          ctx.publish(`warema/${snr}/state`, 'closing', { retain: false });
+          break;
+        case 'CLOSETILT':
+          ctx.setCoverPosition(snr, parseInt(dev.position ?? 100, 10), 0);
+          ctx.publish(`warema/${snr}/state`, 'closing', { retain: false });
+          break;
+        default:
+          // STOP
+          cover.commands.set(ctx, snr, message);
+      }
+    },
+
+    'set_position'(ctx, snr, message) {
+      if (parseInt(message, 10) < 100 && !allowOpen(ctx, snr, 'set_position ' + message)) return;
+      cover.commands.set_position(ctx, snr, message);
+    },
+
+    'set_tilt'(ctx, snr, message) {
+      if (parseInt(message, 10) > 0 && !allowOpen(ctx, snr, 'set_tilt ' + message)) return;
+      cover.commands.set_tilt(ctx, snr, message);
+    }
+  }
+};
@@ -0,0 +1,146 @@
+'use strict';
+
+// Helligkeitsstufen der Warema LED
+const WAREMA_LED_STEPS = [100,89,78,67,56,45,34,23,12,1];
+const LED_COMMAND_TIMEOUT = 15000; // ms
+
+/**
+ * Normalize Warema brightness value to nearest supported step.
+ * @param {number} v - Raw brightness value
+ * @returns {number} Nearest supported brightness step
+ */
+function normalizeWaremaBrightness(v) {
+  if (v <= 0) return 0;
+  // nächstgelegene bekannte Stufe finden
+  let best = WAREMA_LED_STEPS[0];
+  let diff = Math.abs(v - best);
+  for (const s of WAREMA_LED_STEPS) {
+    const d = Math.abs(v - s);
+    if (d < diff) {
+      diff = d;
+      best = s;
+    }
+  }
+  return best;
+}
+
+function updateLightState(ctx, snr, brightness) {
+  const v = Math.max(0, Math.min(100, Number(brightness)));
+  const now = Date.now();
+
+  const dev = ctx.devices[snr];
+
+  // Vereinfachter Loop-Schutz:
+  // Ignoriere identischen Wert innerhalb von 2 Sekunden
+  if (
+    dev.lastPublishedBrightness === v &&
+    (now - (dev.lastPublishTimestamp || 0)) < 2000
+  ) {
+    return;
+  }
+
+  dev.lastPublishedBrightness = v;
+  dev.lastPublishTimestamp = now;
+  dev.position = v;
+
+  // Letzte bekannte Helligkeit nur speichern, wenn >0
+  if (v > 0) {
+    dev.lastBrightness = v;
+    ctx.saveLedBrightness(snr, v);
+  }
+
+  // Helligkeit publizieren
+  ctx.publish(`warema/${snr}/light/brightness`, String(v), { retain: true });
+
+  // ON/OFF automatisch abhängig von Helligkeit
+  ctx.publish(`warema/${snr}/light/state`, v > 0 ? 'ON' : 'OFF', { retain: true });
+}
+
+function setLight(ctx, snr, target) {
+  ctx.stickOf(snr).instance.vnBlindSetPosition(snr, target, 0);
+
+  // Command-Lock aktivieren
+  const d = ctx.devices[snr];
+  d.commandActive = true;
+  d.commandTarget = target;
+  d.commandStartTime = Date.now();
+
+  updateLightState(ctx, snr, target);
+}
+
+// LED -> MQTT Light mit Dimmfunktion
+module.exports = {
+  type: '28',
+  name: 'LED',
+  receiver: true,
+
+  discovery(snr, base) {
+    return {
+      [`homeassistant/light/${snr}/${snr}/config`]: {
+        ...base,
+        name: `LED ${snr}`,
+        command_topic: `warema/${snr}/light/set`,
+        state_topic: `warema/${snr}/light/state`,
+        brightness_command_topic: `warema/${snr}/light/set_brightness`,
+        brightness_state_topic: `warema/${snr}/light/brightness`,
+        brightness_scale: 100,
+        supported_color_modes: ["brightness"],
+        payload_on: 'ON',
+        payload_off: 'OFF',
+        unique_id: `${snr}_light`,
+        default_entity_id: `light.${snr}`
+      }
+    };
+  },
+
+  // Loop-Schutz: Feedbacks nach HA-Steuerung ignorieren, aber Fernbedienung sofort übernehmen
+  onPosition(ctx, snr, update) {
+    if (typeof update.position === "undefined") {
+      return;
+    }
+
+    const reported = normalizeWaremaBrightness(update.position);
+    const d = ctx.devices[snr];
+
+    // Wenn HA gerade steuert:
+    if (d.commandActive) {
+
+      // 1️ Ziel erreicht → Lock lösen
+      if (reported === d.commandTarget) {
+        d.commandActive = false;
+        ctx.log.debug(`LED ${snr}: Target ${reported} erreicht.`);
+        updateLightState(ctx, snr, reported);
+        return;
+      }
+
+      // 2️ Timeout-Schutz
+      if (Date.now() - d.commandStartTime > LED_COMMAND_TIMEOUT) {
+        ctx.log.warn(`LED ${snr}: Command timeout → Lock released.`);
+        d.commandActive = false;
+        updateLightState(ctx, snr, reported);
+        return;
+      }
+
+      // 3️ Während Fahrt: Zwischenwerte ignorieren
+      return;
+    }
+
+    // Fernbedienung → sofort live übernehmen
+    updateLightState(ctx, snr, reported);
+  },
+
+  commands: {
+    'light/set'(ctx, snr, message) {
+      let target = 0;
+      if (message.toUpperCase() === 'ON') {
+        target = ctx.devices[snr].lastBrightness ?? ctx.ledBrightness(snr) ?? 100;
+      }
+      setLight(ctx, snr, target);
+    },
+
+    'light/set_brightness'(ctx, snr, message) {
+      const haValue = Math.max(0, Math.min(100, parseInt(message, 10)));
+      setLight(ctx, snr, normalizeWaremaBrightness(haValue));
+    }
+  }
+};
@@ -0,0 +1,11 @@
+'use strict';
+
+const { createCoverType } = require('./cover');
+
+// Plug receiver (als Cover, Lamellendach): 100 = offen
+module.exports = createCoverType({
+  type: '20',
+  name: 'Plug receiver',
+  openPosition: 100,
+  stateTopic: true
+});
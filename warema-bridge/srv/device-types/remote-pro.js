@@ -0,0 +1,9 @@
+'use strict';
+
+const { createTransmitterType } = require('./transmitter');
+
+// WMS Remote pro: sendet nur, Tasten als Device Trigger
+module.exports = createTransmitterType({
+  type: '07',
+  name: 'Remote pro'
+});
@@ -0,0 +1,44 @@
+'use strict';
+
+// Smart socket (als Switch): Position 100 = ein, 0 = aus
+const SOCKET_ON_POSITION = 100;
+
+module.exports = {
+  type: '24',
+  name: 'Smart socket',
+  receiver: true,
+
+  discovery(snr, base) {
+    return {
+      [`homeassistant/switch/${snr}/${snr}/config`]: {
+        ...base,
+        state_topic: `warema/${snr}/state`,
+        command_topic: `warema/${snr}/set`,
+        payload_on: 'ON',
+        payload_off: 'OFF'
+      }
+    };
+  },
+
+  onPosition(ctx, snr, update) {
+    // Während des Schaltens noch der alte Zustand
+    if (typeof update.position === "undefined" || update.moving) {
+      return;
+    }
+    ctx.devices[snr].position = update.position;
+    ctx.publish(`warema/${snr}/state`, update.position > 0 ? 'ON' : 'OFF', { retain: true });
+  },
+
+  commands: {
+    'set'(ctx, snr, message) {
+      const on = message.toUpperCase() === 'ON';
+      if (!on && message.toUpperCase() !== 'OFF') {
+        ctx.log.warn('Unrecognised set payload: ' + message);
+        return;
+      }
+      // Bei Fehler liest setCoverPosition den Zustand erneut
+      ctx.setCoverPosition(snr, on ? SOCKET_ON_POSITION : 0, 0);
+      ctx.publish(`warema/${snr}/state`, on ? 'ON' : 'OFF', { retain: true });
+    }
+  }
+};
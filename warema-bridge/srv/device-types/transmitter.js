@@ -0,0 +1,58 @@
+'use strict';
+
+// Tasten als HA Device Trigger: hoch (Position 0), runter (100), Stopp, andere Position
+const TRIGGER_SUBTYPES = ['up', 'down', 'stop', 'position'];
+
+/**
+ * Device type definition of a hand-held transmitter or central. It has no entities; its
+ * commands to the receivers are published as Home Assistant device triggers.
+ * @param {object} opts
+ * @param {string} opts.type - WMS device type
+ * @param {string} opts.name - Display name
+ * @returns {object} Device type definition
+ */
+function createTransmitterType(opts) {
+  return {
+    type: opts.type,
+    name: opts.name,
+    transmitter: true,
+
+    discovery(snr, base) {
+      const triggers = {};
+      for (const subtype of TRIGGER_SUBTYPES) {
+        // Device Trigger kennen keine Availability
+        triggers[`homeassistant/device_automation/${snr}/action_${subtype}/config`] = {
+          automation_type: 'trigger',
+          topic: `warema/${snr}/action`,
+          payload: subtype,
+          type: 'button_short_press',
+          subtype,
+          device: base.device
+        };
+      }
+      return triggers;
+    },
+
+    onRemoteCommand(ctx, snr, command) {
+      let action = 'stop';
+      if (command.action === 'move') {
+        action = { 0: 'up', 100: 'down' }[command.position] || 'position';
+      }
+      // Empfänger per Positionsabfrage der Rollos ermittelt, siehe Library
+      const receivers = (command.receivers || []).map(receiver => receiver.snr.toString());
+      ctx.log.info(`Remote ${snr}: ${action}` + (action === 'position' ? ' ' + command.position : '') +
+        ' for ' + (receivers.join(', ') || 'no known receiver'));
+      ctx.publish(`warema/${snr}/action`, action);
+      ctx.publish(`warema/${snr}/event`, JSON.stringify({
+        action,
+        position: command.position,
+        angle: command.angle,
+        valance_1: command.valance_1,
+        valance_2: command.valance_2,
+        receivers
+      }));
+    }
+  };
+}
+
+module.exports = { createTransmitterType };
@@ -0,0 +1,10 @@
+'use strict';
+
+const { createCoverType } = require('./cover');
+
+// Radio motor, z.B. Senkrechtmarkise
+module.exports = createCoverType({
+  type: '25',
+  name: 'Vertical awning',
+  openPosition: 0
+});
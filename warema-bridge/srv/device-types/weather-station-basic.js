@@ -0,0 +1,10 @@
+'use strict';
+
+const { createWeatherStationType } = require('./weather-station');
+
+// Weather station (eco/plus): Wind, Helligkeit und Regen, ohne Temperatur
+module.exports = createWeatherStationType({
+  type: '06',
+  name: 'Weather station',
+  weatherValues: ['lumen', 'wind', 'rain']
+});
@@ -0,0 +1,10 @@
+'use strict';
+
+const { createWeatherStationType } = require('./weather-station');
+
+// Weather station pro: sendet Wetter-Broadcasts, muss nicht auf den Stick
+module.exports = createWeatherStationType({
+  type: '63',
+  name: 'Weather station pro',
+  weatherValues: ['lumen', 'temp', 'wind', 'rain']
+});
@@ -0,0 +1,67 @@
+'use strict';
+
+// Sensoren je Wert des Wetter-Broadcasts
+const SENSORS = {
+  lumen: (snr, base) => [`homeassistant/sensor/${snr}/illuminance/config`, {
+    ...base,
+    state_topic: `warema/${snr}/illuminance/state`,
+    device_class: 'illuminance',
+    unique_id: `${snr}_illuminance`,
+    default_entity_id: `sensor.${snr}_illuminance`,
+    unit_of_measurement: 'lx',
+    state_class: 'measurement'
+  }],
+  temp: (snr, base) => [`homeassistant/sensor/${snr}/temperature/config`, {
+    ...base,
+    state_topic: `warema/${snr}/temperature/state`,
+    device_class: 'temperature',
+    unique_id: `${snr}_temperature`,
+    default_entity_id: `sensor.${snr}_temperature`,
+    unit_of_measurement: '°C',
+    state_class: 'measurement',
+    suggested_display_precision: 1
+  }],
+  // Wind (aggregiert)
+  wind: (snr, base) => [`homeassistant/sensor/${snr}/wind/config`, {
+    ...base,
+    state_topic: `warema/${snr}/wind/state`,
+    device_class: 'wind_speed',
+    unique_id: `${snr}_wind`,
+    default_entity_id: `sensor.${snr}_wind`,
+    unit_of_measurement: 'm/s',
+    state_class: 'measurement',
+    suggested_display_precision: 1
+  }],
+  rain: (snr, base) => [`homeassistant/binary_sensor/${snr}/rain/config`, {
+    ...base,
+    state_topic: `warema/${snr}/rain/state`,
+    device_class: 'moisture',
+    unique_id: `${snr}_rain`,
+    default_entity_id: `binary_sensor.${snr}_rain`,
+    payload_on: 'ON',
+    payload_off: 'OFF'
+  }]
+};
+
+/**
+ * Device type definition of a weather station. It sends weather broadcasts and is not
+ * added to the stick.
+ * @param {object} opts
+ * @param {string} opts.type - WMS device type
+ * @param {string} opts.name - Display name
+ * @param {string[]} opts.weatherValues - Values of the broadcast the station measures: lumen, temp, wind, rain
+ * @returns {object} Device type definition
+ */
+function createWeatherStationType(opts) {
+  return {
+    type: opts.type,
+    name: opts.name,
+    weatherValues: opts.weatherValues,
+
+    discovery(snr, base) {
+      return Object.fromEntries(opts.weatherValues.map(value => SENSORS[value](snr, base)));
+    }
+  };
+}
+
+module.exports = { createWeatherStationType };
@@ -0,0 +1,9 @@
+'use strict';
+
+const { createTransmitterType } = require('./transmitter');
+
+// WMS WebControl pro: Zentrale, Befehle als Device Trigger
+module.exports = createTransmitterType({
+  type: '09',
+  name: 'WebControl pro'
+});
@@ -1,6 +1,7 @@
 'use strict';
 
 const warema = require('./warema-wms-venetian-blinds');
+const deviceTypes = require('./device-types');
 const log = require('./logger');
 const mqtt = require('mqtt');
 const fs = require('fs');
@@ -8,10 +9,8 @@ const path = require('path');
 
 let shuttingDown = false;
 let mqttReady = false;
-let stickReady = false;
 let systemReady = false;
 let weatherInterval = null;
-let lastWeatherBroadcast = 0;
 
 /** =========================
  *   ENV / Defaults
@@ -32,6 +31,18 @@ const settingsPar = {
   wmsSerialPort: process.env.WMS_SERIAL_PORT || '/dev/ttyUSB0',
 };
 
+// Mehrere Sticks (z.B. Gebäude mit eigenem Kanal/PAN ID), JSON-Liste:
+// WMS_STICKS='[{"name":"haus","port":"/dev/ttyUSB0","channel":17,"panId":"1A2B","key":"..."},{"name":"garage",...}]'
+// Ohne WMS_STICKS: ein Stick aus WMS_SERIAL_PORT/WMS_CHANNEL/WMS_PAN_ID/WMS_KEY
+const multiStick = Boolean(process.env.WMS_STICKS);
+// WMS_SERIAL_PORT=auto: Ports mit {V} nach dem Stick absuchen
+const AUTO_DETECT_RETRY_MSEC = 30000;
+// Per Discovery (PAN ID FFFF) ermittelte Netzwerkparameter, beim nächsten Start verwendet.
+// Im Add-on unter /data, das bleibt bei Updates erhalten; ohne /data neben index.js
+const DATA_DIR = fs.existsSync('/data') ? '/data' : __dirname;
+const NETWORK_FILE = process.env.WMS_NETWORK_FILE || path.join(DATA_DIR, 'wms_network.json');
+const stickDefs = applySavedNetworkParams(parseStickDefinitions());
+
 /** =========================
  *   State
  *  ========================= */
@@ -46,7 +57,61 @@ const RAIN_ON_DELAY  = parseInt(process.env.RAIN_ON_DELAY  || '10000', 10); // m
 const RAIN_OFF_DELAY = parseInt(process.env.RAIN_OFF_DELAY || '30000', 10); // ms
 const WEATHER_TAU_MS = parseInt(process.env.WEATHER_TAU_MS || '120000', 10); //ms
 
-const WAREMA_LED_STEPS = [100,89,78,67,56,45,34,23,12,1];
+// Windschutz der Bridge (auch ohne HA): Behänge einfahren, Ausfahren sperren bis der Wind nachlässt
+const WIND_PROTECTION_DEVICES = process.env.WIND_PROTECTION_DEVICES
+  ? process.env.WIND_PROTECTION_DEVICES.split(',').map(s => s.trim()).filter(Boolean)
+  : [];
+const WIND_PROTECTION_LIMIT = parseFloat(process.env.WIND_PROTECTION_LIMIT || '10'); // m/s
+const WIND_PROTECTION_DELAY = parseInt(process.env.WIND_PROTECTION_DELAY || '10000', 10); // ms über Grenzwert
+const WIND_PROTECTION_RELEASE = parseFloat(process.env.WIND_PROTECTION_RELEASE || '6'); // m/s
+const WIND_PROTECTION_RELEASE_DELAY = parseInt(process.env.WIND_PROTECTION_RELEASE_DELAY || '600000', 10); // ms unter Freigabe
+const WIND_PROTECTION_CHECK_INTERVAL = 10000; // ms, auch ohne Broadcasts prüfen
+const windProtection = { active: false, since: 0, aboveSince: 0, belowSince: 0, wind: 0 };
+let windProtectionInterval = null;
+
+// Automatikeinstellungen (Wind/Regen/Sonne/Dämmerung) der Empfänger
+const AUTO_SETTINGS_INTERVAL = parseInt(process.env.AUTO_SETTINGS_INTERVAL || '3600000', 10); // ms
+let autoSettingsInterval = null;
+
+// Uhr der Empfänger (für Zeitautomatik) täglich und bei Sommer-/Winterzeitwechsel stellen
+const CLOCK_SYNC = (process.env.CLOCK_SYNC || 'true').toLowerCase() !== 'false';
+const CLOCK_SYNC_HOUR = parseInt(process.env.CLOCK_SYNC_HOUR || '3', 10); // Stunde (lokale Zeit)
+let clockSyncInterval = null;
+let clockSyncDay = null;
+let clockTzOffset = new Date().getTimezoneOffset();
+
+// Funkstatistik je Gerät und Stick als Diagnose-Sensoren (schlechter Empfang -> Repeater)
+const RADIO_STATS_INTERVAL = parseInt(process.env.RADIO_STATS_INTERVAL || '300000', 10); // ms, 0 = aus
+const RADIO_STATS_SENSORS = [
+  { key: 'retry_rate', name: 'Radio retry rate', unit: '%', state_class: 'measurement' },
+  { key: 'timeout_rate', name: 'Radio timeout rate', unit: '%', state_class: 'measurement' },
+  { key: 'avg_duration', name: 'Radio round-trip', unit: 'ms', device_class: 'duration', state_class: 'measurement' },
+  { key: 'max_duration', name: 'Radio max round-trip', unit: 'ms', device_class: 'duration', state_class: 'measurement', hidden: true },
+  { key: 'sent', name: 'Radio messages sent', state_class: 'total_increasing', hidden: true },
+  { key: 'received', name: 'Radio messages received', state_class: 'total_increasing', hidden: true },
+  { key: 'retries', name: 'Radio retries', state_class: 'total_increasing', hidden: true },
+  { key: 'timeouts', name: 'Radio timeouts', state_class: 'total_increasing', hidden: true }
+];
+let radioStatsInterval = null;
+
+// Zustand der Befehls-Queue des Sticks (verspätete Befehle nachvollziehen)
+const QUEUE_STATS_INTERVAL = parseInt(process.env.QUEUE_STATS_INTERVAL || '10000', 10); // ms, 0 = aus
+const QUEUE_STATS_SENSORS = [
+  { key: 'depth', name: 'Command queue depth', state_class: 'measurement' },
+  { key: 'oldest_age', name: 'Command queue oldest', unit: 'ms', device_class: 'duration', state_class: 'measurement' },
+  { key: 'in_flight', name: 'Command in flight' },
+  { key: 'in_flight_age', name: 'Command in flight age', unit: 'ms', device_class: 'duration', state_class: 'measurement', hidden: true },
+  { key: 'retrying', name: 'Commands retrying', state_class: 'measurement' },
+  { key: 'commands_per_minute', name: 'Commands per minute', unit: 'cmd/min', state_class: 'measurement' },
+  { key: 'duty_cycle', name: 'Radio duty cycle', unit: '%', state_class: 'measurement' }
+];
+let queueStatsInterval = null;
+
+// Erreichbarkeit: offline nach AVAILABILITY_TIMEOUTS Timeouts in Folge oder AVAILABILITY_SILENCE ms ohne Antwort
+const AVAILABILITY_TIMEOUTS = parseInt(process.env.AVAILABILITY_TIMEOUTS || '3', 10); // 0 = aus
+const AVAILABILITY_SILENCE = parseInt(process.env.AVAILABILITY_SILENCE || '900000', 10); // ms, 0 = aus
+const AVAILABILITY_CHECK_INTERVAL = 30000;
+let availabilityInterval = null;
 
 // LED State Cache für persistente Speicherung der Helligkeit
 let ledStateCache = {};
@@ -56,6 +121,112 @@ const ledSaveTimers = {};
  *   Helpers
  *  ========================= */
 
+/**
+ * Stick definitions from WMS_STICKS, or the single stick of the WMS_* variables.
+ * Missing channel, panId and key default to WMS_CHANNEL, WMS_PAN_ID and WMS_KEY.
+ * @returns {Array<object>} Definitions with name, port, channel, panId, key
+ */
+function parseStickDefinitions() {
+  if (!multiStick) {
+    return [{
+      name: 'default',
+      port: settingsPar.wmsSerialPort,
+      channel: settingsPar.wmsChannel,
+      panId: settingsPar.wmsPanid,
+      key: settingsPar.wmsKey
+    }];
+  }
+
+  let list;
+  try {
+    list = JSON.parse(process.env.WMS_STICKS);
+  } catch (e) {
+    log.error('WMS_STICKS is not valid JSON: ' + e.message);
+    process.exit(1);
+  }
+  if (!Array.isArray(list) || list.length === 0) {
+    log.error('WMS_STICKS must be a non-empty JSON array');
+    process.exit(1);
+  }
+
+  const names = new Set();
+  return list.map((def, i) => {
+    const name = def.name || `stick${i + 1}`;
+    // Name wird Teil des MQTT-Topics
+    if (!/^[A-Za-z0-9_-]+$/.test(name) || names.has(name)) {
+      log.error(`WMS_STICKS: invalid or duplicate stick name "${name}"`);
+      process.exit(1);
+    }
+    if (!def.port) {
+      log.error(`WMS_STICKS: stick "${name}" has no port`);
+      process.exit(1);
+    }
+    names.add(name);
+    return {
+      ...def,
+      name,
+      channel: parseInt(def.channel ?? settingsPar.wmsChannel, 10),
+      panId: (def.panId || settingsPar.wmsPanid).toString().toUpperCase(),
+      key: def.key || settingsPar.wmsKey
+    };
+  });
+}
+
+function loadNetworkParams() {
+  try {
+    if (fs.existsSync(NETWORK_FILE)) {
+      return JSON.parse(fs.readFileSync(NETWORK_FILE, 'utf8'));
+    }
+  } catch (e) {
+    log.error(`Error loading ${NETWORK_FILE}: ` + e.toString());
+  }
+  return {};
+}
+
+function saveNetworkParams(stick, params) {
+  const saved = loadNetworkParams();
+  saved[stick.name] = { ...params, detected: new Date().toISOString() };
+  fs.writeFile(NETWORK_FILE, JSON.stringify(saved, null, 2), err => {
+    if (err) {
+      log.error(`Error saving ${NETWORK_FILE}: ` + err.toString());
+    } else {
+      log.info(`Network parameters of stick ${stick.name} saved to ${NETWORK_FILE}`);
+    }
+  });
+}
+
+/**
+ * Sticks without network parameters (PAN ID FFFF) use the ones saved by a
+ * previous discovery instead of starting discovery again.
+ * @param {Array<object>} defs - Stick definitions
+ * @returns {Array<object>} The same definitions
+ */
+function applySavedNetworkParams(defs) {
+  const saved = loadNetworkParams();
+  for (const def of defs) {
+    const net = saved[def.name];
+    if (def.panId === 'FFFF' && net && net.panId) {
+      log.info(`Using saved network parameters for stick ${def.name}: channel ${net.channel}, PAN ID ${net.panId}`);
+      Object.assign(def, { channel: net.channel, panId: net.panId, key: net.key });
+    }
+  }
+  return defs;
+}
+
+/**
+ * Stick a device was registered with.
+ * @param {string} snr - Device serial number
+ * @returns {object|undefined} Stick context
+ */
+function stickOfDevice(snr) {
+  const dev = devices[snr];
+  return dev && sticks.find(stick => stick.name === dev.stick);
+}
+
+function anyStickReady() {
+  return sticks.some(stick => stick.ready);
+}
+
 // Prüft duplizierte Rohmeldung vom Stick
 function isDuplicateRawMessage(stickCmd, snr) {
   const currentTime = Date.now();
@@ -84,26 +255,6 @@ function safePublish(topic, payload, options = {}) {
   }
 }
 
-/**
- * Normalize Warema brightness value to nearest supported step.
- * @param {number} v - Raw brightness value
- * @returns {number} Nearest supported brightness step
- */
-function normalizeWaremaBrightness(v) {
-  if (v <= 0) return 0;
-  // nächstgelegene bekannte Stufe finden
-  let best = WAREMA_LED_STEPS[0];
-  let diff = Math.abs(v - best);
-  for (const s of WAREMA_LED_STEPS) {
-    const d = Math.abs(v - s);
-    if (d < diff) {
-      diff = d;
-      best = s;
-    }
-  }
-  return best;
-}
-
 function updateEMA(entry, key, newValue) {
   const now = Date.now();
 
@@ -140,8 +291,11 @@ function updateWeatherEMA(snr, data) {
     weatherStats.set(snr, entry);
   }
 
-  if (data.wind !== undefined)
+  if (data.wind !== undefined) {
     updateEMA(entry, 'wind', data.wind);
+    entry.windCurrent = Number(data.wind);
+    entry.windTs = data.ts ? data.ts.getTime() : now;
+  }
 
   if (data.temp !== undefined)
     updateEMA(entry, 'temp', data.temp);
@@ -240,68 +394,646 @@ function updateRainState(snr, isRaining) {
 
 
 
+/**
+ * A weather station is stale if its last broadcast is older than two polling intervals.
+ * @param {number} tsMsec - Time of the last broadcast in ms
+ * @returns {boolean} true if the station stopped sending
+ */
+function isWeatherStale(tsMsec) {
+  return Date.now() - tsMsec >= (2 * pollingInterval);
+}
+
+/**
+ * @returns {number} Highest current wind in m/s of the stations that are not stale
+ */
+function currentWind() {
+  let wind = 0;
+  for (const entry of weatherStats.values()) {
+    if (entry.windTs && !isWeatherStale(entry.windTs)) {
+      wind = Math.max(wind, entry.windCurrent ?? 0);
+    }
+  }
+  return wind;
+}
+
+/**
+ * Pass the weather to the device types with onWeather, ie: weather protection of lamella roofs.
+ * Raining if any station reports rain (after hysteresis), the highest current wind of the stations
+ * still sending.
+ */
+function notifyWeather() {
+  const weather = { raining: false, wind: currentWind() };
+  for (const entry of rainState.values()) {
+    weather.raining = weather.raining || entry.state;
+  }
+  updateWindProtection(weather.wind);
+
+  for (const snr of Object.keys(devices)) {
+    const deviceType = deviceTypes.get(devices[snr].type);
+    if (deviceType?.onWeather && !ignoredDevices.includes(snr)) {
+      deviceType.onWeather(deviceContext, snr, weather);
+    }
+  }
+}
+
 /** =========================
- *   Weather polling
+ *   Wind protection
  *  ========================= */
-function pollWeatherData() {
-  try {
-	if (!stickUsb) {
-      log.error('stickUsb is undefined during pollWeatherData');
+/**
+ * Lock when the wind stays at or above WIND_PROTECTION_LIMIT for WIND_PROTECTION_DELAY ms,
+ * release when it stays below WIND_PROTECTION_RELEASE for WIND_PROTECTION_RELEASE_DELAY ms.
+ * Checked on each weather broadcast and every WIND_PROTECTION_CHECK_INTERVAL ms, so the lock is
+ * released when all weather stations stopped sending. Independent of Home Assistant.
+ * @param {number} wind - Highest current wind of all weather stations in m/s
+ */
+function updateWindProtection(wind) {
+  if (WIND_PROTECTION_DEVICES.length === 0) return;
+
+  const now = Date.now();
+  windProtection.wind = wind;
+  if (!windProtection.active) {
+    if (wind < WIND_PROTECTION_LIMIT) {
+      windProtection.aboveSince = 0;
       return;
     }
-	
-	if (Date.now() - lastWeatherBroadcast < (2 * pollingInterval)) {
+    windProtection.aboveSince = windProtection.aboveSince || now;
+    if (now - windProtection.aboveSince >= WIND_PROTECTION_DELAY) {
+      setWindProtection(true);
+    }
+  } else {
+    if (wind >= WIND_PROTECTION_RELEASE) {
+      windProtection.belowSince = 0;
       return;
     }
+    windProtection.belowSince = windProtection.belowSince || now;
+    if (now - windProtection.belowSince >= WIND_PROTECTION_RELEASE_DELAY) {
+      setWindProtection(false);
+    }
+  }
+}
+
+/**
+ * Switch the wind protection. On activation the covers of WIND_PROTECTION_DEVICES are
+ * retracted (position 0); while active they cannot be extended from MQTT.
+ * @param {boolean} active - Lock state
+ */
+function setWindProtection(active) {
+  windProtection.active = active;
+  windProtection.since = Date.now();
+  windProtection.aboveSince = 0;
+  windProtection.belowSince = 0;
+  log.info(`Wind protection ${active ? 'on' : 'off'}, wind ${windProtection.wind} m/s`);
+  publishWindProtection();
+
+  if (!active) return;
+  for (const snr of WIND_PROTECTION_DEVICES) {
+    const stick = stickOfDevice(snr);
+    if (!deviceTypes.get(devices[snr]?.type)?.receiver || ignoredDevices.includes(snr) || !stick?.ready) {
+      log.warn(`Wind protection: cannot retract ${snr}, device unknown or stick not ready`);
+      continue;
+    }
+    log.info(`Wind protection: retracting ${snr}`);
+    setCoverPosition(snr, 0, 0);
+  }
+}
+
+/**
+ * Publish the lock state to warema/bridge/wind_protection with HA discovery as binary sensor
+ * of the bridge. Only if WIND_PROTECTION_DEVICES is set.
+ */
+function publishWindProtection() {
+  if (WIND_PROTECTION_DEVICES.length === 0) return;
+
+  const topic = 'homeassistant/binary_sensor/wms_bridge/wind_protection/config';
+  if (!discoveryCache.has(topic)) {
+    const payload = {
+      availability: [{ topic: 'warema/bridge/state' }],
+      device: {
+        identifiers: 'wms_bridge',
+        manufacturer: 'Warema',
+        model: 'WMS Bridge',
+        name: 'WMS Bridge'
+      },
+      name: 'Wind protection',
+      state_topic: 'warema/bridge/wind_protection',
+      json_attributes_topic: 'warema/bridge/wind_protection/attributes',
+      payload_on: 'ON',
+      payload_off: 'OFF',
+      icon: 'mdi:weather-windy',
+      unique_id: 'wms_bridge_wind_protection',
+      default_entity_id: 'binary_sensor.wms_bridge_wind_protection'
+    };
+    discoveryCache.set(topic, payload);
+    safePublish(topic, JSON.stringify(payload), { retain: true });
+  }
+
+  safePublish('warema/bridge/wind_protection', windProtection.active ? 'ON' : 'OFF', { retain: true });
+  safePublish('warema/bridge/wind_protection/attributes', JSON.stringify({
+    wind: windProtection.wind,
+    limit: WIND_PROTECTION_LIMIT,
+    release: WIND_PROTECTION_RELEASE,
+    since: windProtection.since ? new Date(windProtection.since).toISOString() : null,
+    devices: WIND_PROTECTION_DEVICES
+  }), { retain: true });
+}
+
+/**
+ * Publish the values of a weather broadcast that the station measures (weatherValues of its
+ * type). Stations not found by the scan are registered as weather station pro.
+ * @param {object} stick - Stick context that received the broadcast
+ * @param {object} w - Weather broadcast { snr, wind, temp, lumen, rain }
+ */
+function processWeatherBroadcast(stick, w) {
+  // Gerät registrieren (Sensoren) falls nötig
+  if (!devices[w.snr]) {
+    registerDevice({ snr: w.snr, type: "63" }, stick);
+  }
+
+  const values = deviceTypes.get(devices[w.snr]?.type)?.weatherValues || [];
+  updateWeatherEMA(w.snr, {
+    ts: w.ts,
+    wind: values.includes('wind') ? w.wind : undefined,
+    temp: values.includes('temp') ? w.temp : undefined,
+    lumen: values.includes('lumen') ? w.lumen : undefined
+  });
+
+  if (values.includes('rain')) {
+    updateRainState(w.snr, w.rain);
+  }
+  notifyWeather();
+}
+
+/** =========================
+ *   Weather polling
+ *  ========================= */
+function pollWeatherData() {
+  for (const stick of sticks) {
+    try {
+	  if (!stick.instance) {
+        continue; // Discovery oder Port-Erkennung läuft
+      }
 	
-    const weatherData = stickUsb.getLastWeatherBroadcast();
-    if (weatherData && weatherData.snr) {
-      // Gerät registrieren (Sensoren) falls nötig
-      if (!devices[weatherData.snr]) {
-        registerDevice({ snr: weatherData.snr, type: "63" });
+      // Je Wetterstation: nur wenn ihre Broadcasts ausbleiben
+      for (const weatherData of stick.instance.getWeatherBroadcasts()) {
+        if (!isWeatherStale(weatherData.ts.getTime())) {
+          continue;
+        }
+        processWeatherBroadcast(stick, weatherData);
       }
-		
-      updateWeatherEMA(weatherData.snr, {
-        wind: weatherData.wind,
-        temp: weatherData.temp,
-        lumen: weatherData.lumen
-      });
-		
-      updateRainState(weatherData.snr, weatherData.rain);
+    } catch (error) {
+      log.error('Error polling weather data: ' + error.toString());
     }
-  } catch (error) {
-    log.error('Error polling weather data: ' + error.toString());
   }
 }
 
+/** =========================
+ *   Automatic settings (0C000006)
+ *  ========================= */
+/**
+ * Publish HA discovery for the motor-side automatic limits of a cover as diagnostic entities.
+ * @param {string} snr - Device serial number
+ * @param {object} payloadBase - Common discovery payload (availability, device)
+ */
+function publishAutoSettingsDiscovery(snr, payloadBase) {
+  const state_topic = `warema/${snr}/auto_settings`;
+  const entities = [
+    { component: 'sensor', key: 'wind_limit', name: 'Wind limit', template: '{{ value_json.windLimit }}', extra: { device_class: 'wind_speed', unit_of_measurement: 'm/s' } },
+    { component: 'sensor', key: 'sun_limit', name: 'Sun limit', template: '{{ value_json.sunLimit }}', extra: {} },
+    { component: 'sensor', key: 'dusk_limit', name: 'Dusk limit', template: '{{ value_json.duskLimit }}', extra: {} },
+    { component: 'binary_sensor', key: 'rain_auto', name: 'Rain automatic', template: "{{ 'ON' if value_json.rainEnabled else 'OFF' }}", extra: { payload_on: 'ON', payload_off: 'OFF' } },
+    { component: 'binary_sensor', key: 'auto_mode', name: 'Automatic mode', template: "{{ 'ON' if value_json.autoEnabled else 'OFF' }}", extra: { payload_on: 'ON', payload_off: 'OFF' } }
+  ];
+
+  // Steuerbare Einstellungen (Rücklesen über state_topic)
+  const controls = [
+    { component: 'number', key: 'wind_limit_set', name: 'Wind limit', template: '{{ value_json.windLimit }}', extra: { device_class: 'wind_speed', unit_of_measurement: 'm/s', min: 0, max: 30, step: 1, mode: 'box', command_topic: `warema/${snr}/auto_settings/wind_limit/set` } },
+    { component: 'number', key: 'sun_limit_set', name: 'Sun limit', template: '{{ value_json.sunLimit }}', extra: { min: 0, max: 255, step: 1, mode: 'box', command_topic: `warema/${snr}/auto_settings/sun_limit/set` } },
+    { component: 'number', key: 'dusk_limit_set', name: 'Dusk limit', template: '{{ value_json.duskLimit }}', extra: { min: 0, max: 255, step: 1, mode: 'box', command_topic: `warema/${snr}/auto_settings/dusk_limit/set` } },
+    { component: 'switch', key: 'rain_auto_set', name: 'Rain automatic', template: "{{ 'ON' if value_json.rainEnabled else 'OFF' }}", extra: { payload_on: 'ON', payload_off: 'OFF', command_topic: `warema/${snr}/auto_settings/rain_auto/set` } },
+    { component: 'switch', key: 'auto_mode_set', name: 'Automatic mode', template: "{{ 'ON' if value_json.autoEnabled else 'OFF' }}", extra: { payload_on: 'ON', payload_off: 'OFF', command_topic: `warema/${snr}/auto_settings/auto_mode/set` } }
+  ];
+
+  for (const e of entities.concat(controls)) {
+    const topic = `homeassistant/${e.component}/${snr}/${e.key}/config`;
+    const payload = {
+      ...payloadBase,
+      name: e.name,
+      state_topic,
+      value_template: e.template,
+      entity_category: e.extra.command_topic ? 'config' : 'diagnostic',
+      unique_id: `${snr}_${e.key}`,
+      default_entity_id: `${e.component}.${snr}_${e.key}`,
+      ...e.extra
+    };
+    discoveryCache.set(topic, payload);
+    safePublish(topic, JSON.stringify(payload), { retain: true });
+  }
+}
+
+/**
+ * MQTT-Kommando auf eine Automatikeinstellung abbilden und schreiben.
+ * @param {string} snr - Device serial number
+ * @param {string} key - wind_limit, sun_limit, dusk_limit, rain_auto or auto_mode
+ * @param {string} message - Number or ON/OFF
+ */
+function setAutoSetting(snr, key, message) {
+  const settings = {};
+
+  switch (key) {
+    case 'wind_limit':
+    case 'sun_limit':
+    case 'dusk_limit': {
+      const value = parseInt(message, 10);
+      if (!Number.isFinite(value) || value < 0 || value > 255) {
+        log.warn(`Invalid ${key} value for ${snr}: ${message}`);
+        return;
+      }
+      settings[{ wind_limit: 'windLimit', sun_limit: 'sunLimit', dusk_limit: 'duskLimit' }[key]] = value;
+      break;
+    }
+    case 'rain_auto':
+    case 'auto_mode':
+      if (!['ON', 'OFF'].includes(message.toUpperCase())) {
+        log.warn(`Invalid ${key} value for ${snr}: ${message}`);
+        return;
+      }
+      settings[key === 'rain_auto' ? 'rainEnabled' : 'autoEnabled'] = message.toUpperCase() === 'ON';
+      break;
+    default:
+      log.warn('Unrecognised auto setting: ' + key);
+      return;
+  }
+
+  stickOfDevice(snr).instance.vnBlindSetAutoSettings(parseInt(snr, 10), settings);
+}
+
+function requestAllAutoSettings() {
+  for (const snr of Object.keys(devices)) {
+    const stick = stickOfDevice(snr);
+    if (deviceTypes.get(devices[snr].type)?.autoSettings && stick?.ready && stick.instance.vnBlindGet(parseInt(snr, 10))) {
+      stick.instance.vnBlindGetAutoSettings(parseInt(snr, 10));
+    }
+  }
+}
+
+/**
+ * Read the clock of all receivers that support it. The drift is published and the
+ * clock is set afterwards (see wms-vb-blind-clock).
+ * @param {string} reason - Trigger for logging
+ * @param {object} [onlyStick] - Restrict to the devices of this stick
+ */
+function syncAllClocks(reason, onlyStick) {
+  if (!onlyStick) {
+    clockSyncDay = new Date().toDateString();
+  }
+  for (const snr of Object.keys(devices)) {
+    const device = devices[snr];
+    const stick = stickOfDevice(snr);
+    if (!deviceTypes.get(device.type)?.clock || device.clockCapable === false) continue;
+    if (!stick?.ready || (onlyStick && stick !== onlyStick)) continue;
+    if (!stick.instance.vnBlindGet(parseInt(snr, 10))) continue;
+
+    log.info(`Clock sync ${snr} (${reason})`);
+    device.clockSyncPending = true;
+    stick.instance.vnBlindGetClock(parseInt(snr, 10));
+  }
+}
+
+// Minütlich: tägliche Synchronisation und Zeitumstellung erkennen
+function checkClockSync() {
+  if (!anyStickReady()) return;
+
+  const now = new Date();
+  const tzOffset = now.getTimezoneOffset();
+  if (tzOffset !== clockTzOffset) {
+    clockTzOffset = tzOffset;
+    syncAllClocks('DST change');
+  } else if (now.getHours() === CLOCK_SYNC_HOUR && clockSyncDay !== now.toDateString()) {
+    syncAllClocks('daily');
+  }
+}
+
+/**
+ * Publish HA discovery for the clock drift of a receiver as diagnostic sensor.
+ * @param {string} snr - Device serial number
+ */
+function publishClockDiscovery(snr) {
+  const topic = `homeassistant/sensor/${snr}/clock_drift/config`;
+  if (discoveryCache.has(topic) || !devices[snr].discoveryBase) return;
+
+  const payload = {
+    ...devices[snr].discoveryBase,
+    name: 'Clock drift',
+    state_topic: `warema/${snr}/clock_drift`,
+    device_class: 'duration',
+    unit_of_measurement: 's',
+    state_class: 'measurement',
+    entity_category: 'diagnostic',
+    unique_id: `${snr}_clock_drift`,
+    default_entity_id: `sensor.${snr}_clock_drift`
+  };
+  discoveryCache.set(topic, payload);
+  safePublish(topic, JSON.stringify(payload), { retain: true });
+}
+
+function setDeviceAvailability(snr, online) {
+  const dev = devices[snr];
+  if (!dev || dev.online === online) return;
+
+  dev.online = online;
+  if (online) {
+    log.info(`Device ${snr} answers again, online`);
+  } else {
+    log.warn(`Device ${snr} does not answer, offline`);
+  }
+  safePublish(`warema/${snr}/availability`, online ? 'online' : 'offline', { retain: true });
+}
+
+/**
+ * Derive the availability of a device from its radio responses: offline after
+ * AVAILABILITY_TIMEOUTS timeouts in a row or AVAILABILITY_SILENCE ms without an
+ * answer (weather stations: without broadcast). Remotes only send, always online.
+ * @param {string} snr - Device serial number
+ */
+function updateDeviceAvailability(snr) {
+  const dev = devices[snr];
+  const stick = stickOfDevice(snr);
+  const deviceType = deviceTypes.get(dev?.type);
+  if (!dev || !stick?.ready || !deviceType || deviceType.transmitter) return;
+
+  let lastSeen = dev.lastSeen || 0;
+  let timeouts = 0;
+  if (deviceType.receiver) {
+    const status = stick.instance.vnBlindGetStatus(parseInt(snr, 10))[0];
+    if (!status) return;
+    lastSeen = status.wmsRecievedTs.getTime();
+    timeouts = status.wmsTimeoutSeqCount;
+  }
+  // Stille erst ab Start/Wiederverbindung des Sticks zählen
+  lastSeen = Math.max(lastSeen, stick.readySince);
+
+  const silent = AVAILABILITY_SILENCE > 0 && (Date.now() - lastSeen) > AVAILABILITY_SILENCE;
+  const failing = AVAILABILITY_TIMEOUTS > 0 && timeouts >= AVAILABILITY_TIMEOUTS;
+  setDeviceAvailability(snr, !silent && !failing);
+}
+
+function checkAllDeviceAvailability() {
+  for (const snr of Object.keys(devices)) {
+    updateDeviceAvailability(snr);
+  }
+}
+
+/**
+ * Publish HA discovery for statistics of a device or stick as diagnostic sensors.
+ * Sensors marked hidden are rarely needed and disabled by default.
+ * @param {string} id - Device serial number or stick id, used in topics and unique ids
+ * @param {object} base - Discovery base payload with availability and device
+ * @param {string} stateTopic - JSON state topic of the statistics
+ * @param {string} prefix - Prefix of the object ids, ie: 'radio'
+ * @param {object[]} sensors - Sensor definitions, ie: RADIO_STATS_SENSORS
+ */
+function publishStatsDiscovery(id, base, stateTopic, prefix, sensors) {
+  for (const sensor of sensors) {
+    const topic = `homeassistant/sensor/${id}/${prefix}_${sensor.key}/config`;
+    if (discoveryCache.has(topic)) continue;
+
+    const payload = {
+      ...base,
+      name: sensor.name,
+      state_topic: stateTopic,
+      value_template: `{{ value_json.${sensor.key} }}`,
+      ...(sensor.unit ? { unit_of_measurement: sensor.unit } : {}),
+      ...(sensor.device_class ? { device_class: sensor.device_class } : {}),
+      ...(sensor.state_class ? { state_class: sensor.state_class } : {}),
+      entity_category: 'diagnostic',
+      enabled_by_default: !sensor.hidden,
+      unique_id: `${id}_${prefix}_${sensor.key}`,
+      default_entity_id: `sensor.${id}_${prefix}_${sensor.key}`
+    };
+    discoveryCache.set(topic, payload);
+    safePublish(topic, JSON.stringify(payload), { retain: true });
+  }
+}
+
+/**
+ * Discovery base payload of the stick device, which holds the stick's diagnostic sensors.
+ * @param {object} stick - Stick context
+ * @returns {object} Availability and device of the stick
+ */
+function stickDiscoveryBase(stick) {
+  const stickId = `wms_stick_${stick.name}`;
+  return {
+    availability: multiStick
+      ? [{ topic: 'warema/bridge/state' }, { topic: stick.stateTopic }]
+      : [{ topic: 'warema/bridge/state' }],
+    ...(multiStick ? { availability_mode: 'all' } : {}),
+    device: {
+      identifiers: stickId,
+      manufacturer: 'Warema',
+      model: 'WMS Stick',
+      name: multiStick ? `WMS Stick ${stick.name}` : 'WMS Stick'
+    }
+  };
+}
+
+/**
+ * Radio statistics of the library (getStatus/vnBlindGetStatus) as sensor values.
+ * @param {object} status - Statistics with the wms* properties
+ * @returns {object} Counters, durations in ms and rates in percent
+ */
+function radioStatsValues(status) {
+  return {
+    sent: status.wmsSentCount || 0,
+    received: status.wmsRecievedCount || 0,
+    retries: status.wmsRetryCount || 0,
+    timeouts: status.wmsTimeoutCount || 0,
+    avg_duration: status.wmsComAvgDuration,
+    max_duration: status.wmsComMaxDuration,
+    retry_rate: Math.round(status.wmsRetryRate * 1000) / 10,
+    timeout_rate: Math.round(status.wmsTimeoutRate * 1000) / 10
+  };
+}
+
+function publishRadioStats() {
+  for (const stick of sticks) {
+    if (!stick.ready) continue;
+
+    const stickTopic = multiStick ? `warema/bridge/${stick.name}/radio_stats` : 'warema/bridge/radio_stats';
+    publishStatsDiscovery(`wms_stick_${stick.name}`, stickDiscoveryBase(stick), stickTopic, 'radio', RADIO_STATS_SENSORS);
+    safePublish(stickTopic, JSON.stringify(radioStatsValues(stick.instance.getStatus())));
+
+    for (const blind of stick.instance.vnBlindGetStatus()) {
+      const snr = blind.snr.toString();
+      if (!devices[snr]?.discoveryBase || ignoredDevices.includes(snr)) continue;
+
+      publishStatsDiscovery(snr, devices[snr].discoveryBase, `warema/${snr}/radio_stats`, 'radio', RADIO_STATS_SENSORS);
+      safePublish(`warema/${snr}/radio_stats`, JSON.stringify(radioStatsValues(blind)));
+    }
+  }
+}
+
+/**
+ * Command queue state of the library (getQueueStatus) as sensor values.
+ * @param {object} status - Queue state
+ * @returns {object} Depth, ages in ms, command in flight, rates
+ */
+function queueStatsValues(status) {
+  const inFlight = status.inFlight;
+  return {
+    depth: status.depth,
+    oldest_age: status.oldestAgeMsec,
+    in_flight: inFlight ? (inFlight.snr ? `${inFlight.msgType} ${inFlight.snr}` : inFlight.msgType) : 'idle',
+    in_flight_age: inFlight ? inFlight.ageMsec : 0,
+    in_flight_send_count: inFlight ? inFlight.sendCount : 0,
+    retrying: status.retrying,
+    commands_per_minute: status.commandsPerMinute,
+    duty_cycle: Math.round(status.dutyCycle * 1000) / 10
+  };
+}
+
+function publishQueueStats() {
+  for (const stick of sticks) {
+    if (!stick.ready) continue;
+
+    const stickTopic = multiStick ? `warema/bridge/${stick.name}/queue` : 'warema/bridge/queue';
+    publishStatsDiscovery(`wms_stick_${stick.name}`, stickDiscoveryBase(stick), stickTopic, 'queue', QUEUE_STATS_SENSORS);
+
+    // Nur bei Änderung senden, eine leere Queue ändert sich selten
+    const payload = JSON.stringify(queueStatsValues(stick.instance.getQueueStatus()));
+    if (payload === stick.lastQueueStats) continue;
+    stick.lastQueueStats = payload;
+    safePublish(stickTopic, payload);
+  }
+}
+
+/**
+ * Publish HA discovery for a valance of a cover as number entity.
+ * Only published once the receiver reports a valance.
+ * @param {string} snr - Device serial number
+ * @param {string} key - valance_1 or valance_2
+ */
+function publishValanceDiscovery(snr, key) {
+  const topic = `homeassistant/number/${snr}/${key}/config`;
+  if (discoveryCache.has(topic) || !devices[snr].discoveryBase) return;
+
+  const payload = {
+    ...devices[snr].discoveryBase,
+    name: key === 'valance_1' ? 'Valance 1' : 'Valance 2',
+    state_topic: `warema/${snr}/${key}`,
+    command_topic: `warema/${snr}/${key}/set`,
+    min: 0,
+    max: 100,
+    step: 1,
+    unit_of_measurement: '%',
+    unique_id: `${snr}_${key}`,
+    default_entity_id: `number.${snr}_${key}`
+  };
+  discoveryCache.set(topic, payload);
+  safePublish(topic, JSON.stringify(payload), { retain: true });
+}
+
+/**
+ * Move a cover and check that the receiver confirmed the command. On failure the position is
+ * read again, so an optimistic opening/closing state gets corrected. A move replaced by a newer
+ * target while still queued is not a failure.
+ * @param {string} snr - Device serial number
+ * @param {number} position - Position in percent
+ * @param {number} tilt - Slat angle in percent
+ * @param {number} [valance_1] - Valance 1 in percent, omitted: unchanged
+ * @param {number} [valance_2] - Valance 2 in percent, omitted: unchanged
+ */
+function setCoverPosition(snr, position, tilt, valance_1, valance_2) {
+  const stick = stickOfDevice(snr);
+  stick.instance.setPosition(snr, position, tilt, valance_1, valance_2)
+    .catch(err => {
+      // Ein neueres Ziel wartet bereits in der Queue
+      if (err.code === 'superseded') {
+        log.debug(`Move of ${snr} superseded by a newer target`);
+        return;
+      }
+      log.warn(`Move of ${snr} failed: ${err.message}`);
+      if (err.code !== 'unknown blind' && err.code !== 'disconnected') {
+        stick.instance.vnBlindGetPosition(snr, { cmdConfirmation: false, callbackOnUnchangedPos: true });
+      }
+    });
+}
+
+/**
+ * setCoverPosition for MQTT commands: while the wind protection is active, covers of
+ * WIND_PROTECTION_DEVICES are not extended (position or valance above 0). The position is
+ * read again, so an optimistic state in HA gets corrected.
+ */
+function setCoverPositionChecked(snr, position, tilt, valance_1, valance_2) {
+  const extending = position > 0 || valance_1 > 0 || valance_2 > 0;
+  if (windProtection.active && extending && WIND_PROTECTION_DEVICES.includes(snr.toString())) {
+    log.info(`Wind protection active, ignoring move of ${snr} to ${position}`);
+    const stick = stickOfDevice(snr);
+    if (stick?.ready) {
+      stick.instance.vnBlindGetPosition(parseInt(snr, 10), { cmdConfirmation: false, callbackOnUnchangedPos: true });
+    }
+    return;
+  }
+  setCoverPosition(snr, position, tilt, valance_1, valance_2);
+}
+
 /** =========================
  *   Device registration
  *  ========================= */
+// Bridge-Funktionen für die Gerätetypen (device-types)
+const deviceContext = {
+  log,
+  devices,
+  publish: safePublish,
+  setCoverPosition: setCoverPositionChecked,
+  publishValanceDiscovery,
+  stickOf: stickOfDevice,
+  ledBrightness: snr => ledStateCache[snr],
+  saveLedBrightness: scheduleLedStateSave
+};
+
 /**
- * Defensive: always initialize device state before use.
+ * Defensive: always initialize device state before use. Entities, state and commands
+ * come from the definition of the device type (see device-types).
  * @param {object} element - Device descriptor with snr and type
+ * @param {object} stick - Stick context the device is reached through
  */
-function registerDevice(element) {
+function registerDevice(element, stick) {
   if (!element || !element.snr || !element.type) {
     log.warn('registerDevice called with invalid element:', element);
     return;
   }
+
+  const known = stickOfDevice(element.snr);
+  if (known && known !== stick) {
+    log.warn(`Device ${element.snr} already registered on stick ${known.name}, ignoring it on stick ${stick.name}`);
+    return;
+  }
   
   const isNew = !devices[element.snr];
 
   devices[element.snr] = {
     ...(devices[element.snr] || {}),
-    type: element.type
+    type: element.type,
+    stick: stick.name,
+    online: devices[element.snr]?.online ?? true
   };
+  const availability = devices[element.snr].online ? 'online' : 'offline';
   
-  log.info('Registering ' + element.snr + ' with type: ' + element.type);
+  log.info('Registering ' + element.snr + ' with type: ' + element.type +
+    ' (' + (deviceTypes.get(element.type)?.name || 'unknown') + ')' + (multiStick ? ' on stick ' + stick.name : ''));
 
   const availability_topic = 'warema/' + element.snr + '/availability';
+  // Mehrere Sticks: Bridge, Stick und Gerät müssen online sein
   const base_payload = {
-    availability: [
+    availability: multiStick ? [
+      { topic: 'warema/bridge/state' },
+      { topic: stick.stateTopic },
+      { topic: availability_topic }
+    ] : [
       { topic: 'warema/bridge/state' },
       { topic: availability_topic }
     ],
+    ...(multiStick ? { availability_mode: 'all' } : {}),
     unique_id: element.snr,
     name: null
   };
@@ -311,174 +1043,11 @@ function registerDevice(element) {
     name: element.snr
   };
 
-  let payload;
-  let model;
-  let topicForDiscovery;
-
-  switch (element.type) {
-    case "63": {
-      // Weather station pro
-      model = 'Weather station pro';
-      const payloadBase = {
-        ...base_payload,
-        device: { ...base_device, model }
-      };
-
-      // Illuminance
-      const illuminance_payload = {
-        ...payloadBase,
-        state_topic: `warema/${element.snr}/illuminance/state`,
-        device_class: 'illuminance',
-        unique_id: `${element.snr}_illuminance`,
-        default_entity_id: `sensor.${element.snr}_illuminance`,
-        unit_of_measurement: 'lx',
-        state_class: 'measurement'
-      };
-      safePublish(`homeassistant/sensor/${element.snr}/illuminance/config`, JSON.stringify(illuminance_payload), { retain: true });
-
-      // Temperature
-      const temperature_payload = {
-        ...payloadBase,
-        state_topic: `warema/${element.snr}/temperature/state`,
-        device_class: 'temperature',
-        unique_id: `${element.snr}_temperature`,
-        default_entity_id: `sensor.${element.snr}_temperature`,
-        unit_of_measurement: '°C',
-        state_class: 'measurement',
-        suggested_display_precision: 1
-      };
-      safePublish(`homeassistant/sensor/${element.snr}/temperature/config`, JSON.stringify(temperature_payload), { retain: true });
-
-      // Wind (aggregiert)
-      const wind_payload = {
-        ...payloadBase,
-        state_topic: `warema/${element.snr}/wind/state`,
-        device_class: 'wind_speed',
-        unique_id: `${element.snr}_wind`,
-        default_entity_id: `sensor.${element.snr}_wind`,
-        unit_of_measurement: 'm/s',
-        state_class: 'measurement',
-        suggested_display_precision: 1
-      };
-      safePublish(`homeassistant/sensor/${element.snr}/wind/config`, JSON.stringify(wind_payload), { retain: true });
-
-      // Rain
-      const rain_payload = {
-        ...payloadBase,
-        state_topic: `warema/${element.snr}/rain/state`,
-        device_class: 'moisture',
-        unique_id: `${element.snr}_rain`,
-        default_entity_id: `binary_sensor.${element.snr}_rain`,
-        payload_on: 'ON',
-        payload_off: 'OFF'
-      };
-      safePublish(`homeassistant/binary_sensor/${element.snr}/rain/config`, JSON.stringify(rain_payload), { retain: true });
-
-      if (client?.connected) {
-        client.publish(availability_topic, 'online', { retain: true });
-      }
-      devices[element.snr] = {
-        ...(devices[element.snr] || {}),
-        type: element.type
-      };
-      log.info('No need to add to stick, weather updates are broadcasted. ' + element.snr + ' with type: ' + element.type);
-      return;
-    }
-
-    case "07": // WMS Remote pro
-    case "09": // WMS WebControl Pro
-      return;
-
-    case "20": { // Plug receiver (als Cover, Lamellendach)
-      model = 'Plug receiver';
-      payload = {
-        ...base_payload,
-        device: { ...base_device, model },
-        position_open: 100, // Homeassistant: 100 = offen
-        position_closed: 0, // Homeassistant: 0 = geschlossen
-        command_topic: `warema/${element.snr}/set`,
-        state_topic: `warema/${element.snr}/state`,
-        position_topic: `warema/${element.snr}/position`,
-        set_position_topic: `warema/${element.snr}/set_position`
-      };
-      topicForDiscovery = `homeassistant/cover/${element.snr}/${element.snr}/config`;
-      break;
-    }
-
-    case "21": { // Actuator UP (als Cover)
-      model = 'Actuator UP';
-      payload = {
-        ...base_payload,
-        device: { ...base_device, model },
-        position_open: 0,
-        position_closed: 100,
-        command_topic: `warema/${element.snr}/set`,
-        position_topic: `warema/${element.snr}/position`,
-        tilt_status_topic: `warema/${element.snr}/tilt`,
-        set_position_topic: `warema/${element.snr}/set_position`,
-        tilt_command_topic: `warema/${element.snr}/set_tilt`,
-        tilt_closed_value: -100,
-        tilt_opened_value: 100,
-        tilt_min: -100,
-        tilt_max: 100
-      };
-      topicForDiscovery = `homeassistant/cover/${element.snr}/${element.snr}/config`;
-      break;
-    }
-
-    case "24": { // Smart socket
-      model = 'Smart socket';
-      payload = {
-        ...base_payload,
-        device: { ...base_device, model },
-        state_topic: `warema/${element.snr}/state`,
-        command_topic: `warema/${element.snr}/set`,
-      };
-      topicForDiscovery = `homeassistant/switch/${element.snr}/${element.snr}/config`;
-      break;
-    }
-
-    case "25": { // Vertical awning
-      model = 'Vertical awning';
-      payload = {
-        ...base_payload,
-        device: { ...base_device, model },
-        position_open: 0,
-        position_closed: 100,
-        command_topic: `warema/${element.snr}/set`,
-        position_topic: `warema/${element.snr}/position`,
-        set_position_topic: `warema/${element.snr}/set_position`,
-      };
-      topicForDiscovery = `homeassistant/cover/${element.snr}/${element.snr}/config`;
-      break;
-    }
-
-    case "28": { // LED -> MQTT Light mit Dimmfunktion
-      model = 'LED';
-      payload = {
-        ...base_payload,
-        device: { ...base_device, model },
-        name: `LED ${element.snr}`,
-        command_topic: `warema/${element.snr}/light/set`,
-        state_topic: `warema/${element.snr}/light/state`,
-        brightness_command_topic: `warema/${element.snr}/light/set_brightness`,
-        brightness_state_topic: `warema/${element.snr}/light/brightness`,
-        brightness_scale: 100,
-        supported_color_modes: ["brightness"],
-        payload_on: 'ON',
-        payload_off: 'OFF',
-        unique_id: `${element.snr}_light`,
-        default_entity_id: `light.${element.snr}`
-      };
-      topicForDiscovery = `homeassistant/light/${element.snr}/${element.snr}/config`;
-      break;
-    }
-
-    default:
-      log.warn('Unrecognized device type: ' + element.type);
-      return;
+  const deviceType = deviceTypes.get(element.type);
+  if (!deviceType) {
+    log.warn('Unrecognized device type: ' + element.type);
+    return;
   }
-
   if (ignoredDevices.includes(element.snr.toString())) {
     log.info('Ignoring and removing device ' + element.snr + ' (type ' + element.type + ')');
     return;
@@ -487,36 +1056,84 @@ function registerDevice(element) {
   log.debug('Adding device ' + element.snr + ' (type ' + element.type + ')');
 
   // Für steuerbare Geräte auf den Stick legen
-  if (isNew && element.type !== "63") {
-    stickUsb.vnBlindAdd(parseInt(element.snr, 10), element.snr.toString());
+  if (deviceType.receiver) {
+    if (isNew) {
+      stick.instance.vnBlindAdd(parseInt(element.snr, 10), element.snr.toString());
+    }
+  } else if (!deviceType.transmitter) {
+    log.info('No need to add to stick, updates are broadcasted. ' + element.snr + ' with type: ' + element.type);
   }
-  
-  devices[element.snr] = {
-    ...(devices[element.snr] || {}),
-    type: element.type
-  };
 
-  // Availability online setzen
-  if (client?.connected) {
-    client.publish(availability_topic, 'online', { retain: true });
+  // Availability setzen (neu: online, danach nach Funkantworten); Fernbedienungen senden nur
+  if (!deviceType.transmitter && client?.connected) {
+    client.publish(availability_topic, availability, { retain: true });
   }
 
   // Discovery publizieren
-  discoveryCache.set(topicForDiscovery, payload);
+  const discoveryBase = { ...base_payload, device: { ...base_device, model: deviceType.name } };
+  const discovery = deviceType.discovery ? deviceType.discovery(element.snr, discoveryBase) : {};
+  for (const [topic, payload] of Object.entries(discovery)) {
+    discoveryCache.set(topic, payload);
+    safePublish(topic, JSON.stringify(payload), { retain: true });
+  }
 
-  if (client?.connected) {
-    client.publish(topicForDiscovery, JSON.stringify(payload), { retain: true });
+  devices[element.snr].discoveryBase = discoveryBase;
+
+  if (deviceType.autoSettings) {
+    publishAutoSettingsDiscovery(element.snr, discoveryBase);
+    if (isNew) {
+      stick.instance.vnBlindGetAutoSettings(parseInt(element.snr, 10));
+    }
   }
 }
 
-function initStick() {
-  log.info('Initializing WMS stick...');
+function initStick(stick) {
+  log.info(`Initializing WMS stick ${stick.name}...`);
 
-  stickUsb.setPosUpdInterval(pollingInterval);
-  stickUsb.setWatchMovingBlindsInterval(movingInterval);
+  stick.instance.setPosUpdInterval(pollingInterval);
+  stick.instance.setWatchMovingBlindsInterval(movingInterval);
 
   // Explizit scannen
-  stickUsb.scanDevices({ autoAssignBlinds: false });
+  stick.instance.scanDevices({ autoAssignBlinds: false });
+
+  if (!autoSettingsInterval && AUTO_SETTINGS_INTERVAL > 0) {
+    autoSettingsInterval = setInterval(requestAllAutoSettings, AUTO_SETTINGS_INTERVAL);
+  }
+  if (!clockSyncInterval && CLOCK_SYNC) {
+    clockSyncInterval = setInterval(checkClockSync, 60000);
+  }
+  if (!radioStatsInterval && RADIO_STATS_INTERVAL > 0) {
+    radioStatsInterval = setInterval(publishRadioStats, RADIO_STATS_INTERVAL);
+  }
+  if (!queueStatsInterval && QUEUE_STATS_INTERVAL > 0) {
+    queueStatsInterval = setInterval(publishQueueStats, QUEUE_STATS_INTERVAL);
+  }
+  if (!availabilityInterval && (AVAILABILITY_TIMEOUTS > 0 || AVAILABILITY_SILENCE > 0)) {
+    availabilityInterval = setInterval(checkAllDeviceAvailability, AVAILABILITY_CHECK_INTERVAL);
+  }
+  if (!windProtectionInterval && WIND_PROTECTION_DEVICES.length > 0) {
+    windProtectionInterval = setInterval(() => updateWindProtection(currentWind()), WIND_PROTECTION_CHECK_INTERVAL);
+  }
+}
+
+/**
+ * Nach Wiederverbindung des Sticks: bekannte Geräte erneut anlegen und Polling neu starten.
+ * Kein erneuter Scan, die Geräte sind bereits registriert.
+ */
+function restoreStickAfterReconnect(stick) {
+  log.info(`Restoring devices and polling after reconnect of stick ${stick.name}`);
+
+  for (const snr of Object.keys(devices)) {
+    if (!deviceTypes.get(devices[snr].type)?.receiver || ignoredDevices.includes(snr)) continue;
+    if (devices[snr].stick !== stick.name) continue;
+
+    if (!stick.instance.vnBlindGet(parseInt(snr, 10))) {
+      stick.instance.vnBlindAdd(parseInt(snr, 10), snr);
+    }
+  }
+
+  stick.instance.setPosUpdInterval(pollingInterval);
+  stick.instance.setWatchMovingBlindsInterval(movingInterval);
 }
 
 function rebindAfterMqttConnect() {
@@ -529,20 +1146,28 @@ function rebindAfterMqttConnect() {
     safePublish(topic, JSON.stringify(payload), { retain: true });
   }
 
-  // 2️ Bridge Availability
-  safePublish('warema/bridge/state', 'online', { retain: true });
+  // 2️ Bridge Availability (und je Stick); ein Stick: warema/bridge/state folgt dem Stick
+  if (multiStick) {
+    safePublish('warema/bridge/state', 'online', { retain: true });
+  }
+  for (const stick of sticks) {
+    safePublish(stick.stateTopic, stick.ready ? 'online' : 'offline', { retain: true });
+  }
 
   // 3️ Geräte Availability
   for (const snr of Object.keys(devices)) {
-    safePublish(`warema/${snr}/availability`, 'online', { retain: true });
+    safePublish(`warema/${snr}/availability`, devices[snr].online === false ? 'offline' : 'online', { retain: true });
   }
 
-  // 4️ States aktiv neu synchronisieren
+  // 4️ Windschutz
+  publishWindProtection();
+
+  // 5️ States aktiv neu synchronisieren
   syncAllDeviceStates();
 }
 
 function trySystemReady() {
-  if (mqttReady && stickReady && !systemReady) {
+  if (mqttReady && anyStickReady() && !systemReady) {
     systemReady = true;
     log.info('System fully ready (MQTT + Stick). Performing initial rebind.');
     rebindAfterMqttConnect();
@@ -552,38 +1177,67 @@ function trySystemReady() {
 /** =========================
  *   Stick Callback
  *  ========================= */
-function callback(err, msg) {
+function callback(stick, err, msg) {
   if (err) {
     log.error(err && err.stack ? err.stack : err);
   }
   if (!msg) return;
 
-  log.debug('Callback received topic: ' + msg.topic);
+  log.debug('Callback received topic: ' + msg.topic + (multiStick ? ' (stick ' + stick.name + ')' : ''));
 
   switch (msg.topic) {
     case 'wms-vb-init-completion':
-      log.info('Warema stick ready');
-      stickReady = true;
-      initStick();
+      log.info(`Warema stick ${stick.name} ready`);
+      stick.readySince = Date.now();
+      if (stick.initialized) {
+        restoreStickAfterReconnect(stick);
+        // Nach Discovery mit neuen Netzwerkparametern
+        if (stick.rescan) {
+          stick.rescan = false;
+          stick.instance.scanDevices({ autoAssignBlinds: false });
+        }
+      } else {
+        stick.initialized = true;
+        initStick(stick);
+      }
+      stick.ready = true;
 	  trySystemReady();
       break;
 
+    case 'wms-vb-stick-disconnected':
+      log.warn(`Warema stick ${stick.name} disconnected: ` + msg.payload.reason);
+      stick.ready = false;
+      if (!anyStickReady()) {
+        systemReady = false;
+      }
+      safePublish(stick.stateTopic, 'offline', { retain: true });
+      return;
+
     case 'wms-vb-scanned-devices':
       log.debug('Scanned devices:\n' + JSON.stringify(msg.payload, null, 2));
       if (forceDevices && forceDevices.length) {
+        // SNR:TYP[:STICK], ohne Stick der erste
         forceDevices.forEach(deviceString => {
-          const [snr, type] = deviceString.split(':');
-          registerDevice({ snr: snr, type: type || "25" });
+          const [snr, type, stickName] = deviceString.split(':');
+          if ((stickName || sticks[0].name) === stick.name) {
+            registerDevice({ snr: snr, type: type || "25" }, stick);
+          }
         });
       } else {
-        msg.payload.devices.forEach(element => registerDevice(element));
+        msg.payload.devices.forEach(element => registerDevice(element, stick));
+      }
+      log.debug('Registered devices:\n' + JSON.stringify(stick.instance.vnBlindsList(), null, 2));
+      if (CLOCK_SYNC) {
+        syncAllClocks('startup', stick);
       }
-      log.debug('Registered devices:\n' + JSON.stringify(stickUsb.vnBlindsList(), null, 2));
       break;
 
     case 'wms-vb-rcv-weather-broadcast': {
       log.silly('Weather broadcast:\n' + JSON.stringify(msg.payload, null, 2));
-	  lastWeatherBroadcast = Date.now();
+      if (devices[msg.payload.weather.snr]) {
+        devices[msg.payload.weather.snr].lastSeen = Date.now();
+        updateDeviceAvailability(msg.payload.weather.snr.toString());
+      }
       const stickCmd = msg.payload.stickCmd || '';
       const w = msg.payload.weather;
 
@@ -592,17 +1246,7 @@ function callback(err, msg) {
         break;
       }
 
-      if (!devices[w.snr]) {
-        registerDevice({ snr: w.snr, type: "63" });
-      }
-
-      updateWeatherEMA(w.snr, {
-        wind: w.wind,
-        temp: w.temp,
-        lumen: w.lumen
-      });
-
-      updateRainState(w.snr, w.rain);
+      processWeatherBroadcast(stick, w);
       break;
     }
 
@@ -610,131 +1254,103 @@ function callback(err, msg) {
       const snr = msg.payload.snr;
       const dev = devices[snr] || {};
       log.debug('Position update:\n' + JSON.stringify(msg.payload, null, 2));
-      // LED Loop-Schutz: Feedbacks nach HA-Steuerung ignorieren, aber Fernbedienung sofort übernehmen
-      if (dev.type === "28") {
-        if (typeof msg.payload.position === "undefined") {
-          return;
-        }
-
-        const reported = normalizeWaremaBrightness(msg.payload.position);
-        const d = ensureLedDevice(snr);
-        const now = Date.now();
+      const deviceType = deviceTypes.get(dev.type);
+      if (deviceType?.onPosition) {
+        deviceType.onPosition(deviceContext, snr, msg.payload);
+      }
+      break;
+    }
 
-        // Wenn HA gerade steuert:
-        if (d.commandActive) {
+    case 'wms-vb-rcv-remote-command': {
+      // Taste einer Fernbedienung/Zentrale, wird oft mehrfach empfangen
+      const snr = msg.payload.snr.toString();
+      if (isDuplicateRawMessage(msg.payload.stickCmd, snr) || ignoredDevices.includes(snr)) {
+        break;
+      }
+      if (!devices[snr]) {
+        registerDevice({ snr: msg.payload.snr, type: "07" }, stick);
+      }
+      const deviceType = deviceTypes.get(devices[snr]?.type);
+      if (deviceType?.onRemoteCommand) {
+        deviceType.onRemoteCommand(deviceContext, snr, msg.payload);
+      }
+      break;
+    }
 
-          // 1️ Ziel erreicht → Lock lösen
-          if (reported === d.commandTarget) {
-            d.commandActive = false;
-            log.debug(`LED ${snr}: Target ${reported} erreicht.`);
-            updateLightState(snr, reported);
-            return;
-          }
+    case 'wms-vb-blind-auto-settings': {
+      const snr = msg.payload.snr;
+      log.debug('Auto settings ' + snr + ': ' + JSON.stringify(msg.payload.autoSettings));
+      if (devices[snr]) {
+        devices[snr].autoSettings = msg.payload.autoSettings;
+      }
+      safePublish(`warema/${snr}/auto_settings`, JSON.stringify(msg.payload.autoSettings), { retain: true });
+      break;
+    }
 
-          // 2️ Timeout-Schutz (max 15s)
-          if (now - d.commandStartTime > 15000) {
-            log.warn(`LED ${snr}: Command timeout → Lock released.`);
-            d.commandActive = false;
-            updateLightState(snr, reported);
-            return;
-          }
+    case 'wms-vb-cmd-result-set-auto-settings': {
+      const snr = msg.payload.snr;
+      if (msg.payload.error) {
+        log.warn(`Auto settings ${snr} not applied: ${msg.payload.error}`);
+      } else {
+        log.info(`Auto settings ${snr} applied: ` + JSON.stringify(msg.payload.requested));
+      }
+      safePublish(`warema/${snr}/auto_settings/result`, JSON.stringify({
+        success: !msg.payload.error,
+        error: msg.payload.error || undefined,
+        requested: msg.payload.requested
+      }));
+      break;
+    }
 
-          // 3️ Während Fahrt: Zwischenwerte ignorieren
-          return;
+    case 'wms-vb-blind-clock': {
+      const snr = msg.payload.snr;
+      const device = devices[snr];
+      if (!device) break;
+
+      if (msg.payload.error) {
+        device.clockSyncPending = false;
+        // Keine Antwort beim ersten Versuch: Empfänger ohne Uhr, nicht erneut fragen
+        if (msg.payload.error === 'timeout' && device.clockCapable === undefined) {
+          log.info(`Device ${snr} does not answer clock requests, skipping clock sync`);
+          device.clockCapable = false;
+        } else {
+          log.warn(`Clock of ${snr} not read: ${msg.payload.error}`);
         }
-
-        // Fernbedienung → sofort live übernehmen
-        updateLightState(snr, reported);
-        return;
+        break;
       }
 
+      device.clockCapable = true;
+      log.debug(`Clock ${snr}: drift ${msg.payload.clock.driftSec}s`);
+      publishClockDiscovery(snr);
+      safePublish(`warema/${snr}/clock_drift`, '' + msg.payload.clock.driftSec, { retain: true });
 
-      // Alle anderen Typen wie gehabt
-      if (["20","21","25"].includes(dev.type)) {
-        if (typeof msg.payload.position !== "undefined") {
-          devices[snr].position = msg.payload.position;
-          safePublish(`warema/${snr}/position`, '' + msg.payload.position, { retain: true });
-          if (msg.payload.moving === false) {
-            if (msg.payload.position === 0) {
-			  if (dev.type === "20")
-			  {
-				safePublish(`warema/${snr}/state`, 'closed', { retain: true });
-			  } else
-			  {
-				safePublish(`warema/${snr}/state`, 'open', { retain: true });			
-			  }
-              
-            } else if (msg.payload.position === 100) {
-			  if (dev.type === "20")
-			  {
-				safePublish(`warema/${snr}/state`, 'open', { retain: true });
-			  } else
-		      {
-				safePublish(`warema/${snr}/state`, 'closed', { retain: true });
-			  }
-            } else {
-              safePublish(`warema/${snr}/state`, 'stopped', { retain: true });
-            }
-          }
-        }
-        if (typeof msg.payload.angle !== "undefined") {
-          devices[snr].tilt = msg.payload.angle;
-          safePublish(`warema/${snr}/tilt`, '' + msg.payload.angle, { retain: true });
-        }
+      if (device.clockSyncPending) {
+        device.clockSyncPending = false;
+        stick.instance.vnBlindSetClock(parseInt(snr, 10));
       }
       break;
     }
 
-    default:
-      log.warn('UNKNOWN MESSAGE: ' + JSON.stringify(msg, null, 2));
-  }
-
-  if (client?.connected) {
-    client.publish('warema/bridge/state', 'online', { retain: true });
-  }
-}
-
-function ensureLedDevice(snr) {
-  if (!devices[snr]) {
-    devices[snr] = { type: "28" };
-  }
-  const dev = devices[snr];
-  dev.type = "28";
-  return dev;
-}
-
-function updateLightState(snr, brightness) {
-  const v = Math.max(0, Math.min(100, Number(brightness)));
-  const now = Date.now();
-  
-  const dev = ensureLedDevice(snr);
-
-  // Vereinfachter Loop-Schutz:
-  // Ignoriere identischen Wert innerhalb von 2 Sekunden
-  if (
-    dev.lastPublishedBrightness === v &&
-    (now - (dev.lastPublishTimestamp || 0)) < 2000
-  ) {
-    return;
-  }
+    case 'wms-vb-blind-com-status':
+      // Timeout oder erste Antwort nach Timeouts
+      log.debug(`Device ${msg.payload.snr}: ${msg.payload.timeoutSeqCount} timeouts in a row`);
+      updateDeviceAvailability(msg.payload.snr.toString());
+      break;
 
-  dev.lastPublishedBrightness = v;
-  dev.lastPublishTimestamp = now;
-  devices[snr].position = v;
+    case 'wms-vb-cmd-result-set-clock':
+      if (msg.payload.error) {
+        log.warn(`Clock of ${msg.payload.snr} not set: ${msg.payload.error}`);
+      } else {
+        log.info(`Clock of ${msg.payload.snr} set`);
+      }
+      break;
 
-  // Letzte bekannte Helligkeit nur speichern, wenn >0
-  if (v > 0) {
-    devices[snr].lastBrightness = v;
-    ledStateCache[snr] = v;
-    scheduleLedStateSave(snr, v);
+    default:
+      log.warn('UNKNOWN MESSAGE: ' + JSON.stringify(msg, null, 2));
   }
 
-  if (client && client.connected) {
-    // Helligkeit publizieren
-    client.publish(`warema/${snr}/light/brightness`, String(v), { retain: true });
-
-    // ON/OFF automatisch abhängig von Helligkeit
-    client.publish(`warema/${snr}/light/state`, v > 0 ? 'ON' : 'OFF', { retain: true });
+  if (client?.connected && stick.ready) {
+    client.publish(stick.stateTopic, 'online', { retain: true });
   }
 }
 
@@ -755,9 +1371,10 @@ function syncAllDeviceStates() {
   // Query all registered covers and LED devices for their current state
   for (const snr of Object.keys(devices)) {
     const dev = devices[snr];
-    // Only query covers and LED lights (types: 20, 21, 25, 28, 2A)
-    if (["20","21","25","28"].includes(dev.type)) {
-      stickUsb.vnBlindGetPosition(snr, {
+    // Only query types with a state from position updates (covers, LED lights)
+    const stick = stickOfDevice(snr);
+    if (deviceTypes.get(dev.type)?.onPosition && stick?.ready) {
+      stick.instance.vnBlindGetPosition(snr, {
         cmdConfirmation: false,
         callbackOnUnchangedPos: true
       });
@@ -768,19 +1385,253 @@ function syncAllDeviceStates() {
 /** =========================
  *   Stick & MQTT Setup
  *  ========================= */
-const stickUsb = new warema(
-  settingsPar.wmsSerialPort,
-  settingsPar.wmsChannel,
-  settingsPar.wmsPanid,
-  settingsPar.wmsKey,
-  {},
-  callback
-);
-
-// Do not attempt connecting to MQTT if trying to discover network parameters
-if (settingsPar.wmsPanid === 'FFFF') {
-  // Discovery-Phase, kein MQTT
-  return;
+// WMS_SERIAL_PORT=tcp://host:port -> Stick über ser2net im Netzwerk
+// WMS_SERIAL_PORT=sim              -> simuliertes WMS-Netz (Entwicklung ohne Stick)
+// WMS_SERIAL_PORT=replay:<datei>   -> Wiedergabe eines Mitschnitts (WMS_RECORD_DIR)
+function createStick(stick, discoveryMode = false) {
+  const def = stick.def;
+  let StickClass = warema;
+  const stickOptions = {};
+  if (discoveryMode) {
+    // Fortschritt über MQTT statt Anleitung im Log
+    stickOptions.networkParamsConsole = false;
+  }
+  if (warema.StickTcp.isTcpPortPath(def.port)) {
+    StickClass = warema.StickTcp;
+  } else if (warema.StickSim.isSimPortPath(def.port)) {
+    StickClass = warema.StickSim;
+    const simDevices = def.simDevices || process.env.WMS_SIM_DEVICES;
+    if (simDevices) {
+      stickOptions.simDevices = simDevices.split(',');
+    }
+  } else if (warema.StickReplay.isReplayPortPath(def.port)) {
+    StickClass = warema.StickReplay;
+    if (process.env.WMS_REPLAY_SPEED) {
+      stickOptions.replaySpeed = parseFloat(process.env.WMS_REPLAY_SPEED);
+    }
+  }
+
+  // Rohdaten-Mitschnitt (JSONL) für Fehleranalyse, nicht beim Abspielen eines Mitschnitts
+  if (process.env.WMS_RECORD_DIR && StickClass !== warema.StickReplay) {
+    const captureName = 'wms-capture-' + (multiStick ? stick.name + '-' : '') +
+      new Date().toISOString().replace(/[:.]/g, '-') + '.jsonl';
+    stickOptions.recordFile = path.join(process.env.WMS_RECORD_DIR, captureName);
+  }
+
+  const instance = new StickClass(
+    def.port,
+    def.channel,
+    discoveryMode ? 'FFFF' : def.panId,
+    def.key,
+    stickOptions,
+    (err, msg) => {
+      // Meldungen eines bereits geschlossenen Sticks ignorieren
+      if (stick.instance === instance) {
+        callback(stick, err, msg);
+      }
+    }
+  );
+  return instance;
+}
+
+/** =========================
+ *   Netzwerk-Discovery (PAN ID FFFF)
+ *  ========================= */
+// Fortschritt unter warema/bridge/discovery/*, Start/Stopp über warema/bridge/discovery/set
+let discovery = null;
+let discoveryState = 'idle';
+
+function publishDiscovery(topic, payload, retain = false) {
+  safePublish('warema/bridge/discovery/' + topic,
+    typeof payload === 'string' ? payload : JSON.stringify(payload), { retain });
+}
+
+function setDiscoveryState(state) {
+  discoveryState = state;
+  publishDiscovery('state', state, true);
+}
+
+/**
+ * Closes the stick object so its port can be reopened.
+ * @param {object} stick - Stick context
+ */
+async function releaseStick(stick) {
+  const instance = stick.instance;
+  stick.instance = null;
+  if (stick.ready) {
+    stick.ready = false;
+    if (!anyStickReady()) {
+      systemReady = false;
+    }
+    safePublish(stick.stateTopic, 'offline', { retain: true });
+  }
+  if (instance) {
+    await instance.close();
+  }
+}
+
+/**
+ * Reopens the port of a stick with PAN ID FFFF and waits for the hand-held
+ * transmitter in learn mode to assign the stick to its channel.
+ * @param {object} stick - Stick context
+ */
+async function startDiscovery(stick) {
+  if (discovery) {
+    log.warn(`Network discovery already running on stick ${discovery.stick.name}`);
+    return;
+  }
+  log.info(`Starting network discovery on stick ${stick.name}. Put the hand-held transmitter in learn mode and assign the stick (see README).`);
+  discovery = { stick, instance: null };
+  await releaseStick(stick);
+  if (discovery?.stick !== stick) return; // Während des Schließens gestoppt
+
+  let instance;
+  try {
+    instance = createStick(stick, true);
+  } catch (err) {
+    log.error(`Network discovery on stick ${stick.name} failed: ${err}`);
+    discovery = null;
+    setDiscoveryState('error');
+    return;
+  }
+  discovery.instance = instance;
+  instance.on('ready', () => setDiscoveryState('running'));
+  instance.on('scanRequest', payload => {
+    publishDiscovery('scan_request', { stick: stick.name, snr: payload.snr });
+  });
+  instance.on('waveRequest', payload => {
+    publishDiscovery('wave_request', { stick: stick.name, snr: payload.snr });
+  });
+  instance.on('networkParams', payload => {
+    finishDiscovery('found', { channel: payload.channel, panId: payload.panId, key: payload.networkKey })
+      .catch(err => log.error('Network discovery: ' + err));
+  });
+  instance.on('networkParamsTimeout', () => {
+    finishDiscovery('timeout').catch(err => log.error('Network discovery: ' + err));
+  });
+}
+
+/**
+ * Ends the discovery and restarts the stick, with the detected parameters if any.
+ * @param {string} state - Final discovery state (found, timeout, stopped)
+ * @param {object} [params] - Detected channel, panId and key
+ */
+async function finishDiscovery(state, params) {
+  if (!discovery) return;
+  const { stick, instance } = discovery;
+  discovery = null;
+  if (instance) {
+    instance.removeAllListeners();
+    await instance.close();
+  }
+
+  if (params) {
+    log.info(`Network parameters detected for stick ${stick.name}: channel ${params.channel}, PAN ID ${params.panId}`);
+    publishDiscovery('network_params', { stick: stick.name, ...params }, true);
+    saveNetworkParams(stick, params);
+    // Anderes Netz: Geräte neu suchen
+    stick.rescan = stick.initialized && params.panId !== stick.def.panId;
+    Object.assign(stick.def, params);
+  }
+  setDiscoveryState(state);
+  log.info(`Network discovery on stick ${stick.name} ended: ${state}`);
+
+  if (stick.def.panId !== 'FFFF') {
+    openStick(stick);
+  } else {
+    log.warn(`Stick ${stick.name} has no network parameters. Publish "start" to warema/bridge/discovery/set to retry.`);
+  }
+}
+
+// Payload: start, start:<stick> oder stop
+function handleDiscoveryCommand(message) {
+  const [action, name] = message.trim().split(':');
+  switch (action.toLowerCase()) {
+    case 'start': {
+      const stick = name ? sticks.find(s => s.name === name) : sticks[0];
+      if (!stick) {
+        log.warn(`Network discovery: unknown stick ${name}`);
+        return;
+      }
+      startDiscovery(stick).catch(err => log.error('Network discovery: ' + err));
+      break;
+    }
+    case 'stop':
+      finishDiscovery('stopped').catch(err => log.error('Network discovery: ' + err));
+      break;
+    default:
+      log.warn(`Unknown network discovery command: ${message}`);
+  }
+}
+
+// Je Stick: eigene Instanz (und Queue), eigene Availability
+const sticks = stickDefs.map(def => ({
+  name: def.name,
+  def,
+  stateTopic: multiStick ? `warema/bridge/${def.name}/state` : 'warema/bridge/state',
+  instance: null,
+  ready: false,
+  initialized: false,
+  rescan: false,
+  readySince: 0,
+  lastQueueStats: null
+}));
+
+/**
+ * Finds the port of a stick configured with port "auto" by probing the serial
+ * ports with {V}. Ports of the other sticks are skipped. Retries until found.
+ * @param {object} stick - Stick context
+ * @returns {Promise<string>} Path of the detected stick
+ */
+function detectStickPort(stick) {
+  return new Promise(resolve => {
+    const probe = () => {
+      const usedPorts = sticks.filter(other => other !== stick).map(other => other.def.port);
+      warema.listWmsStickSerialPorts((err, msg) => {
+        if (err) {
+          log.debug('Port detection: ' + err);
+        }
+        const found = msg.payload.portsList[0];
+        if (!found) {
+          log.error(`No WMS stick found${multiStick ? ' for ' + stick.name : ''}. Retrying in ${AUTO_DETECT_RETRY_MSEC / 1000} seconds.`);
+          setTimeout(probe, AUTO_DETECT_RETRY_MSEC);
+          return;
+        }
+        log.info(`Found WMS stick${multiStick ? ' ' + stick.name : ''} at ${found.path}, version ${found.wmsStickVersion}`);
+        resolve(found.path);
+      }, { excludePaths: usedPorts });
+    };
+    probe();
+  });
+}
+
+// Ungültiger Port (z.B. tcp:// ohne Port): nur diesen Stick auslassen, nicht die Bridge beenden
+function openStick(stick) {
+  try {
+    stick.instance = createStick(stick);
+  } catch (err) {
+    log.error(`Cannot open stick ${stick.name} at ${stick.def.port}: ${err}`);
+  }
+}
+
+// Ohne Netzwerkparameter (PAN ID FFFF) direkt mit der Discovery beginnen
+function startStick(stick) {
+  if (stick.def.panId === 'FFFF') {
+    startDiscovery(stick).catch(err => log.error('Network discovery: ' + err));
+  } else {
+    openStick(stick);
+  }
+}
+
+async function startSticks() {
+  // Feste Ports zuerst öffnen, damit die Erkennung sie nicht anfragt
+  for (const stick of sticks.filter(s => s.def.port !== 'auto')) {
+    startStick(stick);
+  }
+  for (const stick of sticks.filter(s => s.def.port === 'auto')) {
+    stick.def.port = await detectStickPort(stick);
+    startStick(stick);
+  }
 }
 
 const client = mqtt.connect(mqttServer, {
@@ -795,6 +1646,9 @@ const client = mqtt.connect(mqttServer, {
   }
 });
 
+// Erst nach dem MQTT-Client: Sticks melden sich ggf. schon im Konstruktor (replay)
+startSticks();
+
 client.on('connect', function () {
   mqttReady = true;
   log.info('Connected to MQTT');
@@ -803,11 +1657,18 @@ client.on('connect', function () {
     'warema/+/set',
     'warema/+/set_position',
     'warema/+/set_tilt',
+    'warema/+/valance_1/set',
+    'warema/+/valance_2/set',
     // Light-spezifische Steuerung für Typ 28
     'warema/+/light/set',
-    'warema/+/light/set_brightness'
+    'warema/+/light/set_brightness',
+    // Automatikeinstellungen der Empfänger
+    'warema/+/auto_settings/+/set',
+    // Netzwerk-Discovery
+    'warema/bridge/discovery/set'
   ]);
 
+  setDiscoveryState(discoveryState);
   trySystemReady();
 
   // Wetter-Polling starten
@@ -847,97 +1708,35 @@ client.on('message', function (topic, message) {
 
   log.debug(`Received: scope=${scope}, device=${device}, command=${command}, payload=${message}`);
 
-  switch (command) {
-    // ======= Cover / allgemeine Geräte =======
-    case 'set':
-      switch (message) {
-        case 'ON':
-        case 'OFF':
-          // (Platzhalter) Steckdosen etc.; hier keine LED-Logik
-          break;
-        case 'CLOSE':
-		  if (dev.type === "20") {
-			stickUsb.vnBlindSetPosition(snr, 0, 0);
-			safePublish(`warema/${snr}/state`, 'closing', { retain: false });
-		  } else {
-			stickUsb.vnBlindSetPosition(snr, 100, 0);
-			safePublish(`warema/${snr}/state`, 'closing', { retain: false });
-		  }
-          break;
-        case 'CLOSETILT':
-          stickUsb.vnBlindSetPosition(snr, 0, 100);
-          safePublish(`warema/${snr}/state`, 'closing', { retain: false });
-          break;
-        case 'OPEN':
-        case 'OPENTILT':
-		  if (dev.type === "20") {
-			stickUsb.vnBlindSetPosition(snr, 100, 0);
-			safePublish(`warema/${snr}/state`, 'opening', { retain: false });
-		  } else {
-			stickUsb.vnBlindSetPosition(snr, 0, 0);
-			safePublish(`warema/${snr}/state`, 'opening', { retain: false });
-		  }
-          break;
-        case 'STOP':
-          stickUsb.vnBlindStop(snr);
-          break;
-        default:
-          log.warn('Unrecognised set payload: ' + message);
-      }
-      break;
-
-    case 'set_position':
-      log.debug('Setting ' + snr + ' to ' + message);
-      stickUsb.vnBlindSetPosition(snr, parseInt(message, 10));
-      break;
-
-    case 'set_tilt':
-      const tilt = parseInt(message, 10);
-      if (!Number.isFinite(tilt)) {
-        log.warn('Invalid tilt value: ' + message);
-        return;
-      }
-
-      const pos = parseInt(devices[snr]?.position ?? 0, 10);
-
-      log.debug('Setting ' + snr + ' tilt to ' + message + '°, position ' + pos);
-      stickUsb.vnBlindSetPosition(snr, pos, tilt);
-      break;
-
-    /** =========================
-     *   LED / Light Handler
-     *  ========================= */
-    case 'light/set':
-    case 'light/set_brightness': {
-      let target = 0;
-
-      if (command === 'light/set') {
-        if (message.toUpperCase() === 'ON') {
-          target = dev.lastBrightness ?? ledStateCache[snr] ?? 100;
-        } else if (message.toUpperCase() === 'OFF') {
-          target = 0;
-        }
-      } else {
-        const haValue = Math.max(0, Math.min(100, parseInt(message, 10)));
-        target = normalizeWaremaBrightness(haValue);
-      }
-
-      stickUsb.vnBlindSetPosition(snr, target, 0);
-
-      const d = ensureLedDevice(snr);
+  if (snr === 'bridge' && command === 'discovery/set') {
+    handleDiscoveryCommand(message);
+    return;
+  }
 
-      // Command-Lock aktivieren
-      d.commandActive = true;
-      d.commandTarget = target;
-      d.commandStartTime = Date.now();
+  // Kommando an den Stick des Geräts
+  const stick = stickOfDevice(snr);
+  if (!stick) {
+    log.warn(`Ignoring ${command} for unknown device ${snr}`);
+    return;
+  }
+  if (!stick.instance) {
+    log.warn(`Ignoring ${command} for ${snr}, stick ${stick.name} is in network discovery`);
+    return;
+  }
 
-      updateLightState(snr, target);
-      break;
-    }
+  // Automatikeinstellungen: alle Typen mit autoSettings
+  const deviceType = deviceTypes.get(dev.type);
+  if (command.startsWith('auto_settings/') && command.endsWith('/set') && deviceType?.autoSettings) {
+    setAutoSetting(snr, parts[3], message);
+    return;
+  }
 
-    default:
-      log.warn('Unrecognised command: ' + command);
+  const handler = deviceType?.commands?.[command];
+  if (!handler) {
+    log.warn('Unrecognised command: ' + command);
+    return;
   }
+  handler(deviceContext, snr, message);
 });
 
 async function shutdown(reason) {
@@ -950,6 +1749,11 @@ async function shutdown(reason) {
     // Availability sauber auf offline
     if (client && client.connected) {
       client.publish('warema/bridge/state', 'offline', { retain: true });
+      if (multiStick) {
+        for (const stick of sticks) {
+          client.publish(stick.stateTopic, 'offline', { retain: true });
+        }
+      }
       for (const snr of Object.keys(devices)) {
         client.publish(`warema/${snr}/availability`, 'offline', { retain: true });
       }
@@ -959,13 +1763,42 @@ async function shutdown(reason) {
       clearInterval(weatherInterval);
       weatherInterval = null;
     }
+    if (autoSettingsInterval) {
+      clearInterval(autoSettingsInterval);
+      autoSettingsInterval = null;
+    }
+    if (clockSyncInterval) {
+      clearInterval(clockSyncInterval);
+      clockSyncInterval = null;
+    }
+    if (radioStatsInterval) {
+      clearInterval(radioStatsInterval);
+      radioStatsInterval = null;
+    }
+    if (queueStatsInterval) {
+      clearInterval(queueStatsInterval);
+      queueStatsInterval = null;
+    }
+    if (availabilityInterval) {
+      clearInterval(availabilityInterval);
+      availabilityInterval = null;
+    }
+    if (windProtectionInterval) {
+      clearInterval(windProtectionInterval);
+      windProtectionInterval = null;
+    }
     // MQTT sauber schließen
     if (client) {
       await new Promise(resolve => client.end(false, resolve));
     }
-    // Stick sauber freigeben (falls Lib das unterstützt)
-    if (stickUsb?.close) {
-      await stickUsb.close();
+    // Sticks sauber freigeben (falls Lib das unterstützt)
+    if (discovery?.instance) {
+      await discovery.instance.close();
+    }
+    for (const stick of sticks) {
+      if (stick.instance?.close) {
+        await stick.instance.close();
+      }
     }
   } catch (e) {
     log.error('Error during shutdown: ' + e.toString());
@@ -981,9 +1814,6 @@ process.on('uncaughtException', err => {
   shutdown('uncaughtException');
 });
 
-// Initialisierung: Wenn der Stick bereits verbunden ist, wird der Callback sofort aufgerufen
-validateEnvVars();
-
 const ENV_DEFAULTS = {
   MQTT_SERVER: mqttServer,
   WMS_CHANNEL: settingsPar.wmsChannel,
@@ -992,6 +1822,9 @@ const ENV_DEFAULTS = {
   WMS_SERIAL_PORT: settingsPar.wmsSerialPort
 };
 
+// Initialisierung: Wenn der Stick bereits verbunden ist, wird der Callback sofort aufgerufen
+validateEnvVars();
+
 function validateEnvVars() {
   const requiredVars = [
     'MQTT_SERVER',
@@ -1001,7 +1834,7 @@ function validateEnvVars() {
     'WMS_SERIAL_PORT'
   ];
   for (const v of requiredVars) {
-    if (!process.env[v]) {
+    if (!process.env[v] && !(multiStick && v.startsWith('WMS_'))) {
       log.warn(`Environment variable ${v} is not set. Using default: ${ENV_DEFAULTS[v]}`);
     }
   }
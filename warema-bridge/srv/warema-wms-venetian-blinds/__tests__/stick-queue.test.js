@@ -0,0 +1,129 @@
+// Command queue of the stick, driven through the simulated WMS network
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const StickSim = require('../stick-sim');
+const wmsUtil = require('../wms-util');
+
+const BLINDS = [100001, 100002, 100003];
+
+function openStick(optionsPar) {
+    return new Promise(function (resolve) {
+        const stick = new StickSim('sim', 17, '1A2B', '0123456789ABCDEF0123456789ABCDEF', Object.assign({
+            simDevices: BLINDS.map(function (snr) {
+                return snr + ':25';
+            }),
+            simResponseDelayMsec: [5, 5]
+        }, optionsPar));
+        stick.once('ready', function () {
+            BLINDS.forEach(function (snr) {
+                stick.vnBlindAdd(snr, 'blind ' + snr);
+            });
+            resolve(stick);
+        });
+    });
+}
+
+// Radio commands sent to the stick as "<command> <snr>", moves with the target position
+function radioCommands(send) {
+    return send.mock.calls.map(function (call) {
+        return call[0];
+    }).filter(function (frame) {
+        return frame.startsWith('{R');
+    }).map(function (frame) {
+        const snr = wmsUtil.snrHexToNum(frame.substr(4, 6));
+        switch (frame.substr(10, 4)) {
+            case '7070':
+                return (frame.substr(14, 2) === '01') ? 'stop ' + snr : 'move ' + snr + ' ' + wmsUtil.wmsPosHexToPercent(frame.substr(16, 2));
+            case '8010':
+                return 'getPos ' + snr;
+            case '7020':
+                return 'scan';
+            default:
+                return frame;
+        }
+    });
+}
+
+describe('command queue', function () {
+    let stick;
+    let send;
+
+    afterEach(async function () {
+        await stick.close();
+    });
+
+    describe('with default options', function () {
+        beforeEach(async function () {
+            stick = await openStick();
+            send = jest.spyOn(stick, 'comDataSendCallback');
+        });
+
+        test('serves the blinds in turn, one command each', async function () {
+            await Promise.all([
+                stick.setPosition(100001, 10, 0),
+                stick.getPosition(100001),
+                stick.setPosition(100002, 20, 0),
+                stick.getPosition(100002)
+            ]);
+
+            expect(radioCommands(send)).toEqual(['move 100001 10', 'move 100002 20', 'getPos 100001', 'getPos 100002']);
+        });
+
+        test('sends stop commands first, then stick commands, then blind commands', async function () {
+            const scanned = new Promise(function (resolve) {
+                stick.once('scanned', resolve);
+            });
+            const commands = Promise.all([
+                stick.setPosition(100001, 10, 0),
+                stick.getPosition(100002)
+            ]);
+            stick.scanDevices();
+            await stick.stop(100003, false);
+            await Promise.all([commands, scanned]);
+
+            expect(radioCommands(send)).toEqual(['stop 100003', 'scan', 'scan', 'scan', 'move 100001 10', 'getPos 100002']);
+        });
+
+        test('coalesces the moves of a blind to the latest target', async function () {
+            const first = stick.setPosition(100001, 10, 0);
+            const second = stick.setPosition(100001, 20, 0);
+            const latest = stick.setPosition(100001, 30, 0);
+
+            await expect(first).rejects.toHaveProperty('code', 'superseded');
+            await expect(second).rejects.toHaveProperty('code', 'superseded');
+            await latest;
+            expect(radioCommands(send)).toEqual(['move 100001 30']);
+        });
+
+        test('stop removes the pending commands of the blind', async function () {
+            const move = stick.setPosition(100001, 50, 0);
+            const getPos = stick.getPosition(100001);
+            const other = stick.setPosition(100002, 50, 0);
+            await stick.stop(100001, false);
+
+            await expect(move).rejects.toHaveProperty('code', 'removed');
+            await expect(getPos).rejects.toHaveProperty('code', 'removed');
+            await other;
+            expect(radioCommands(send)).toEqual(['stop 100001', 'move 100002 50']);
+        });
+    });
+
+    describe('with cmdMaxAgeMsec', function () {
+        beforeEach(async function () {
+            stick = await openStick({cmdMaxAgeMsec: 100});
+            send = jest.spyOn(stick, 'comDataSendCallback');
+        });
+
+        test('drops commands not sent within the time', async function () {
+            // Each move keeps the queue busy for 300 ms after the answer
+            const first = stick.setPosition(100001, 10, 0);
+            const second = stick.setPosition(100002, 10, 0);
+            const third = stick.setPosition(100003, 10, 0);
+
+            await first;
+            await expect(second).rejects.toHaveProperty('code', 'expired');
+            await expect(third).rejects.toHaveProperty('code', 'expired');
+            expect(radioCommands(send)).toEqual(['move 100001 10']);
+        });
+    });
+});
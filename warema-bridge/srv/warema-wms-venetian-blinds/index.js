@@ -2,5 +2,10 @@
 //
 //--------------------------------------------------------------------------------------------------
 const WmsVbStickUsb = require('./stick-usb')
+const WmsVbStickSim = require('./stick-sim')
+const WmsVbStickReplay = require('./stick-replay')
 
 module.exports = WmsVbStickUsb;
+module.exports.StickTcp = WmsVbStickUsb.StickTcp;
+module.exports.StickSim = WmsVbStickSim;
+module.exports.StickReplay = WmsVbStickReplay;
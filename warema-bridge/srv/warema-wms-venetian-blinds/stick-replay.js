@@ -0,0 +1,112 @@
+const log = require('../logger');
+const WmsVbStick = require('./stick')
+const fs = require('fs');
+
+const ReplayPrefix = 'replay:';
+
+const defaultReplaySettings = Object.freeze({
+    replaySpeed: 1 // 2: twice as fast as recorded
+});
+
+//--------------------------------------------------------------------------------------------------
+function replayLoadCapture(file) {
+    var frames = [];
+    var lines = fs.readFileSync(file, 'utf8').split('\n');
+
+    lines.forEach(function (line, index) {
+        if (!line.trim()) {
+            return;
+        }
+        try {
+            var frame = JSON.parse(line);
+            frame.tsMsec = new Date(frame.ts).getTime();
+            frames.push(frame);
+        } catch (err) {
+            log.warn("StickReplay: Skipping invalid line " + (index + 1) + " of " + file + ": " + err.message);
+        }
+    });
+    return frames;
+}
+
+//--------------------------------------------------------------------------------------------------
+// Feeds the received frames of a capture written with option recordFile back into the stick,
+// keeping the original timing. Frames sent by the stick are only compared with the capture.
+class StickReplay extends WmsVbStick {
+    constructor(portPath, channel, panid, key, optionsPar, callback) {
+        super(portPath, channel, panid, key, Object.assign({}, defaultReplaySettings, optionsPar), callback);
+        this.portPath = portPath;
+        this.replayFile = portPath.substr(ReplayPrefix.length).replace(/^\/\//, '');
+        this.replayFrames = [];
+        this.replaySndIdx = 0;
+        this.replayTimers = [];
+
+        if (this.options.autoOpen) {
+            this.openReplayPort();
+        }
+    }
+
+    static isReplayPortPath(portPath) {
+        return (typeof portPath === "string") && portPath.toLowerCase().startsWith(ReplayPrefix);
+    }
+
+    openReplayPort() {
+        var stickObj = this;
+
+        try {
+            stickObj.replayFrames = replayLoadCapture(stickObj.replayFile);
+        } catch (err) {
+            log.error("StickReplay: Cannot read capture " + stickObj.replayFile + ": " + err.message);
+            stickObj.status = "error";
+            return;
+        }
+        if (stickObj.replayFrames.length === 0) {
+            log.error("StickReplay: No frames in capture " + stickObj.replayFile + ".");
+            stickObj.status = "error";
+            return;
+        }
+
+        var startMsec = stickObj.replayFrames[0].tsMsec;
+        var rcvFrames = stickObj.replayFrames.filter(function (frame) {
+            return frame.dir === "rcv";
+        });
+        log.info("Replaying " + rcvFrames.length + " received frames of " + stickObj.replayFile + " (" +
+            Math.round((stickObj.replayFrames[stickObj.replayFrames.length - 1].tsMsec - startMsec) / 1000) + " seconds).");
+
+        rcvFrames.forEach(function (frame, index) {
+            stickObj.replayTimers.push(setTimeout(function () {
+                stickObj.comDataReceive(frame.data);
+                if (index === rcvFrames.length - 1) {
+                    log.info("StickReplay: Replay of " + stickObj.replayFile + " finished.");
+                }
+            }, (frame.tsMsec - startMsec) / stickObj.options.replaySpeed));
+        });
+
+        stickObj.initWmsNetwork();
+    }
+
+    close() {
+        super.close();
+        this.replayTimers.forEach(function (timer) {
+            clearTimeout(timer);
+        });
+        this.replayTimers = [];
+    }
+
+    // Overwriting suber class
+    comDataSendCallback(dataString) {
+        while ((this.replaySndIdx < this.replayFrames.length) && (this.replayFrames[this.replaySndIdx].dir !== "snd")) {
+            this.replaySndIdx++;
+        }
+        var recorded = this.replayFrames[this.replaySndIdx];
+        this.replaySndIdx++;
+
+        if (!recorded) {
+            log.debug("StickReplay: Sent " + dataString + " after end of capture.");
+        } else if (recorded.data !== dataString) {
+            log.debug("StickReplay: Sent " + dataString + ", capture has " + recorded.data + ".");
+        }
+    }
+}
+
+//--------------------------------------------------------------------------------------------------
+module.exports = StickReplay;
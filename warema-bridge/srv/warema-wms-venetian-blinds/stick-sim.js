@@ -0,0 +1,394 @@
+const log = require('../logger');
+const WmsVbStick = require('./stick')
+const wmsUtil = require('./wms-util.js')
+
+const TICK_MSEC = 250;
+const WEATHER_TYPES = ["06", "63"]; // Weather station, weather station pro
+
+const defaultSimSettings = Object.freeze({
+    // Simulated devices, "SNR:TYPE" like FORCE_DEVICES, remotes "SNR:07:SNR+SNR" with the receivers they control
+    simDevices: ["100001:21", "100002:25", "100003:20", "100004:28", "100005:63"],
+    simWeatherIntervalMsec: 10000,
+    simRemoteIntervalMsec: 20000, // Remotes (type 07) press up, stop, down, stop in turn
+    simTravelMsec: 20000,       // Time for a full 0 -> 100 % move
+    simResponseDelayMsec: [30, 120],
+    // Network parameters reported when started with panid FFFF
+    simNetwork: {channel: 17, panId: "1A2B", key: "0123456789ABCDEF0123456789ABCDEF"}
+});
+
+//--------------------------------------------------------------------------------------------------
+function simParseDevices(simDevices) {
+    var list = Array.isArray(simDevices) ? simDevices : String(simDevices).split(',');
+    var devices = [];
+
+    list.forEach(function (deviceString) {
+        var parts = String(deviceString).trim().split(':');
+        var snr = parseInt(parts[0], 10);
+        if (!snr) {
+            log.warn("StickSim: Ignoring invalid device \"" + deviceString + "\".");
+            return;
+        }
+        devices.push({
+            snr: snr,
+            snrHex: wmsUtil.snrNumToHex(snr),
+            type: (parts[1] || "25").toUpperCase(),
+            targets: (parts[2] || "").split('+').map(function (target) {
+                return parseInt(target, 10);
+            }).filter(function (target) {
+                return !!target;
+            }),
+            pos: 0,
+            ang: 0,
+            targetPos: 0,
+            targetAng: 0,
+            valance_1: "FF",
+            valance_2: "FF",
+            auto: {wind: 12, rain: 1, sun: 30, dusk: 0, op: 1},
+            clockOffsetMsec: Math.round((Math.random() - 0.5) * 300000),
+            lumen: 0,
+            wind: 2 + Math.random() * 3,
+            temp: 15 + Math.random() * 10,
+            rain: false
+        });
+    });
+    return devices;
+}
+
+//--------------------------------------------------------------------------------------------------
+// Payload of a 7070 frame: "03" + position, angle, valance 1 and 2 to move, otherwise stop
+function simApplyMove(device, payload) {
+    if (payload.substr(0, 2) === '03') {
+        device.targetPos = wmsUtil.wmsPosHexToPercent(payload.substr(2, 2));
+        device.targetAng = Math.max(-63, Math.min(100, wmsUtil.wmsAngleHexToPercent(payload.substr(4, 2))));
+        if (payload.substr(6, 2) !== 'FF') {
+            device.valance_1 = payload.substr(6, 2);
+        }
+        if (payload.substr(8, 2) !== 'FF') {
+            device.valance_2 = payload.substr(8, 2);
+        }
+    } else {
+        // Stop
+        device.targetPos = device.pos;
+        device.targetAng = device.ang;
+    }
+}
+
+//--------------------------------------------------------------------------------------------------
+function simHex(value) {
+    return ('0' + (Math.max(0, Math.min(255, Math.round(value)))).toString(16)).substr(-2).toUpperCase();
+}
+
+//--------------------------------------------------------------------------------------------------
+function simIsMoving(device) {
+    return (device.pos !== device.targetPos) || (device.ang !== device.targetAng);
+}
+
+//--------------------------------------------------------------------------------------------------
+function simPositionFrame(device) {
+    // {rAAAAAA801101000005PPWWV1V2MM}
+    return '{r' + device.snrHex + '8011' + '01000005' +
+        wmsUtil.wmsPosPercentToHex(Math.round(device.pos)) +
+        wmsUtil.wmsAnglePercentToHex(Math.round(device.ang)) +
+        device.valance_1 + device.valance_2 +
+        (simIsMoving(device) ? '01' : '00') + '}';
+}
+
+//--------------------------------------------------------------------------------------------------
+function simAutoSettingsFrame(device) {
+    return '{r' + device.snrHex + '8011' + '0C000006' + '0000' +
+        simHex(device.auto.wind) + '00000000' +
+        simHex(device.auto.rain) + simHex(device.auto.sun) + simHex(device.auto.dusk) + simHex(device.auto.op) +
+        '00}';
+}
+
+//--------------------------------------------------------------------------------------------------
+function simClockFrame(device) {
+    var date = new Date(Date.now() + device.clockOffsetMsec);
+    return '{r' + device.snrHex + '8011' + '0B080009' +
+        simHex(date.getFullYear() - 2000) + simHex(date.getMonth() + 1) + simHex(date.getDate()) +
+        simHex(date.getHours()) + simHex(date.getMinutes()) + simHex(date.getSeconds()) +
+        simHex(date.getDay() === 0 ? 7 : date.getDay()) + '}';
+}
+
+//--------------------------------------------------------------------------------------------------
+function simMoveResponseFrame(device) {
+    return '{r' + device.snrHex + '7071' + '0000000000' +
+        wmsUtil.wmsPosPercentToHex(Math.round(device.pos)) +
+        wmsUtil.wmsAnglePercentToHex(Math.round(device.ang)) +
+        device.valance_1 + device.valance_2 +
+        '00000000' + '}';
+}
+
+//--------------------------------------------------------------------------------------------------
+function simWeatherFrame(device) {
+    // Illuminance is transmitted as factor * base * 2 (factor 00 -> base * 2)
+    var lux = Math.max(0, device.lumen);
+    var factor = 0;
+    var base = Math.round(lux / 2);
+    if (base > 255) {
+        factor = Math.ceil(lux / 510);
+        base = Math.round(lux / (2 * factor));
+    }
+    return '{r' + device.snrHex + '7080' + '01' +
+        simHex(device.wind) +
+        simHex(factor) +
+        '000000' +
+        simHex(base) +
+        '00' +
+        (device.rain ? 'C8' : '00') +
+        simHex((device.temp + 35) * 2) +
+        '00}';
+}
+
+//--------------------------------------------------------------------------------------------------
+function simDaylightLux(date) {
+    var hour = date.getHours() + date.getMinutes() / 60;
+    if ((hour < 6) || (hour > 21)) {
+        return 0;
+    }
+    return Math.round(Math.sin((hour - 6) / 15 * Math.PI) * 60000);
+}
+
+//--------------------------------------------------------------------------------------------------
+// Virtual WMS network for development without a stick. Answers the stick protocol like a real
+// stick with attached receivers, moves the simulated blinds over time and broadcasts weather data.
+class StickSim extends WmsVbStick {
+    constructor(portPath, channel, panid, key, optionsPar, callback) {
+        super(portPath, channel, panid, key, Object.assign({}, defaultSimSettings, optionsPar), callback);
+        this.portPath = portPath;
+        this.simDevices = simParseDevices(this.options.simDevices);
+        this.simTimers = [];
+
+        if (this.options.autoOpen) {
+            this.openSimPort();
+        }
+    }
+
+    static isSimPortPath(portPath) {
+        return (typeof portPath === "string") && ((portPath.toLowerCase() === "sim") || portPath.toLowerCase().startsWith("sim://"));
+    }
+
+    openSimPort() {
+        var stickObj = this;
+
+        log.info("Starting simulated WMS network with " + stickObj.simDevices.length + " devices: " +
+            stickObj.simDevices.map(function (device) {
+                return device.snr + ":" + device.type;
+            }).join(", "));
+
+        stickObj.simTimers.push(setInterval(function () {
+            stickObj.simTick();
+        }, TICK_MSEC));
+
+        stickObj.simDevices.forEach(function (device) {
+            if (WEATHER_TYPES.indexOf(device.type) >= 0) {
+                stickObj.simTimers.push(setInterval(function () {
+                    stickObj.simWeatherBroadcast(device);
+                }, stickObj.options.simWeatherIntervalMsec + Math.round(Math.random() * 1000)));
+            } else if (device.type === "07") {
+                stickObj.simTimers.push(setInterval(function () {
+                    stickObj.simRemoteButton(device);
+                }, stickObj.options.simRemoteIntervalMsec));
+            }
+        });
+
+        setTimeout(function () {
+            stickObj.initWmsNetwork();
+        }, 10);
+    }
+
+    close() {
+        super.close();
+        this.simClosed = true;
+        this.simTimers.forEach(function (timer) {
+            clearInterval(timer);
+        });
+        this.simTimers = [];
+    }
+
+    simDeviceGet(snrHex) {
+        for (var i = 0; i < this.simDevices.length; i++) {
+            if (this.simDevices[i].snrHex === snrHex) {
+                return this.simDevices[i];
+            }
+        }
+        return undefined;
+    }
+
+    simSend(frame, delayMsec) {
+        var stickObj = this;
+        var delay = delayMsec;
+
+        if (delay === undefined) {
+            var range = stickObj.options.simResponseDelayMsec;
+            delay = range[0] + Math.round(Math.random() * (range[1] - range[0]));
+        }
+        setTimeout(function () {
+            if (stickObj.simClosed) {
+                return;
+            }
+            log.silly("SIM-RCV " + stickObj.name + ": " + frame);
+            stickObj.comDataReceive(frame);
+        }, delay);
+    }
+
+    simTick() {
+        var stepPos = 100 * TICK_MSEC / this.options.simTravelMsec;
+        var stepAng = stepPos * 5;
+
+        function approach(current, target, step) {
+            if (Math.abs(target - current) <= step) {
+                return target;
+            }
+            return current + (target > current ? step : -step);
+        }
+
+        this.simDevices.forEach(function (device) {
+            if (simIsMoving(device)) {
+                // Slats turn first, then the blind travels
+                device.ang = approach(device.ang, device.targetAng, stepAng);
+                if (device.ang === device.targetAng) {
+                    device.pos = approach(device.pos, device.targetPos, device.type === "28" ? stepPos * 4 : stepPos);
+                }
+            }
+        });
+    }
+
+    simWeatherBroadcast(device) {
+        device.wind = Math.max(0, Math.min(30, device.wind + (Math.random() - 0.5) * 2));
+        device.temp = Math.max(-20, Math.min(40, device.temp + (Math.random() - 0.5) * 0.4));
+        device.lumen = simDaylightLux(new Date()) * (0.7 + Math.random() * 0.3);
+        if (Math.random() < 0.02) {
+            device.rain = !device.rain;
+        }
+        this.simSend(simWeatherFrame(device), 0);
+    }
+
+    simRemoteButton(device) {
+        var stickObj = this;
+        var buttons = [0, "stop", 100, "stop"];
+        var button = buttons[(device.buttonCount || 0) % buttons.length];
+        var payload;
+        device.buttonCount = (device.buttonCount || 0) + 1;
+        if (button === "stop") {
+            payload = '01' + 'FF' + 'FF' + 'FFFF00';
+        } else {
+            payload = '03' + wmsUtil.wmsPosPercentToHex(button) + wmsUtil.wmsAnglePercentToHex(0) + 'FFFF00';
+        }
+        // The receivers of the remote act on the frame as well
+        device.targets.forEach(function (target) {
+            var receiver = stickObj.simDeviceGet(wmsUtil.snrNumToHex(target));
+            if (receiver) {
+                simApplyMove(receiver, payload);
+            }
+        });
+        stickObj.simSend('{r' + device.snrHex + '7070' + payload + '}', 0);
+    }
+
+    simNetworkParamsSequence() {
+        var stickObj = this;
+        var net = stickObj.options.simNetwork;
+        var remoteSnrHex = wmsUtil.snrNumToHex(999999);
+        var keyReversed = net.key.match(/../g).reverse().join("");
+
+        log.info("StickSim: Simulating hand-held transmitter in learn mode.");
+        stickObj.simSend('{r' + remoteSnrHex + '7020' + net.panId + '07}', 2000);
+        stickObj.simSend('{r' + remoteSnrHex + '7050}', 4000);
+        stickObj.simSend('{r' + remoteSnrHex + '5018' + net.panId + keyReversed + 'FF' + simHex(net.channel) + '}', 6000);
+    }
+
+    // Overwriting suber class
+    comDataSendCallback(dataString) {
+        var stickObj = this;
+
+        log.silly("SIM-SND " + stickObj.name + ": " + dataString);
+
+        if (dataString.startsWith('{G')) {
+            stickObj.simSend('{gWMS USB-Stick}');
+        } else if (dataString.startsWith('{V')) {
+            stickObj.simSend('{v37605107ASIM}');
+        } else if (dataString.startsWith('{K')) {
+            stickObj.simSend('{a}');
+        } else if (dataString.startsWith('{M')) {
+            stickObj.simSend('{a}');
+            if (stickObj.panid === "FFFF") {
+                stickObj.simNetworkParamsSequence();
+            }
+        } else if (dataString.startsWith('{a')) {
+            // Ack to a received message, nothing to answer
+        } else if (dataString.startsWith('{R')) {
+            stickObj.simSend('{a}', 5);
+            stickObj.simRadioCmd(dataString);
+        } else {
+            log.warn("StickSim: Cannot simulate unknown command " + dataString);
+        }
+    }
+
+    simRadioCmd(dataString) {
+        var stickObj = this;
+        // {R06AAAAAACCCCPPPP...}
+        var snrHex = dataString.substr(4, 6);
+        var cmdType = dataString.substr(10, 4);
+        var payload = dataString.substring(14, dataString.lastIndexOf('}'));
+
+        if (cmdType === '7020') {
+            // Scan request broadcast: every device answers with its type
+            stickObj.simDevices.forEach(function (device, index) {
+                stickObj.simSend('{r' + device.snrHex + '7021' + payload.substr(0, 4) + device.type + '}', 50 + index * 60);
+            });
+            return;
+        }
+        if (cmdType === '7021') {
+            // Scan response of the stick to a hand-held transmitter
+            stickObj.simSend('{r' + snrHex + '50AC' + '0000}');
+            return;
+        }
+
+        var device = stickObj.simDeviceGet(snrHex);
+        if (!device || (WEATHER_TYPES.indexOf(device.type) >= 0) || (device.type === "07")) {
+            // No answer -> timeout in stick
+            return;
+        }
+
+        switch (cmdType) {
+            case '8010':
+                if (payload.startsWith('01000005')) {
+                    stickObj.simSend(simPositionFrame(device));
+                } else if (payload.startsWith('0C000006') && (device.type !== "28")) {
+                    stickObj.simSend(simAutoSettingsFrame(device));
+                } else if (payload.startsWith('0B080009') && (device.type !== "28")) {
+                    stickObj.simSend(simClockFrame(device));
+                }
+                break;
+            case '7070':
+                simApplyMove(device, payload);
+                stickObj.simSend(simMoveResponseFrame(device));
+                break;
+            case '8020':
+                if (payload.startsWith('0C000006')) {
+                    device.auto.wind = parseInt(payload.substr(12, 2), 16);
+                    device.auto.rain = parseInt(payload.substr(22, 2), 16);
+                    device.auto.sun = parseInt(payload.substr(24, 2), 16);
+                    device.auto.dusk = parseInt(payload.substr(26, 2), 16);
+                    device.auto.op = parseInt(payload.substr(28, 2), 16);
+                    stickObj.simSend('{r' + device.snrHex + '8021' + '0C000006}');
+                } else if (payload.startsWith('0B080009')) {
+                    var h = function (idx) {
+                        return parseInt(payload.substr(idx, 2), 16);
+                    };
+                    var date = new Date(2000 + h(8), h(10) - 1, h(12), h(14), h(16), h(18));
+                    device.clockOffsetMsec = date.getTime() - Date.now();
+                    stickObj.simSend('{r' + device.snrHex + '8021' + '0B080009}');
+                }
+                break;
+            case '7050':
+                stickObj.simSend('{r' + device.snrHex + '50AC' + '0000}');
+                break;
+            default:
+                log.debug("StickSim: No simulation for radio command " + cmdType + " to " + snrHex + ".");
+        }
+    }
+}
+
+//--------------------------------------------------------------------------------------------------
+module.exports = StickSim;
@@ -2,13 +2,36 @@ const log = require('../logger');
 const WmsVbStick = require('./stick')
 const {SerialPort} = require('serialport')
 const {DelimiterParser} = require('@serialport/parser-delimiter')
+const net = require('net');
 
 const DelimiterChar = '}';
 
+const defaultReconnectSettings = Object.freeze({
+    reconnectMinMsec: 1000,  // first retry after losing the port, doubled on each failure
+    reconnectMaxMsec: 60000
+});
+
+//--------------------------------------------------------------------------------------------------
+function privateScheduleReconnect(stickObj, reason, openFct) {
+    if (stickObj.closing || stickObj.reconnectTimer) {
+        return;
+    }
+    stickObj.comConnectionLost(reason);
+
+    var delay = stickObj.reconnectDelayMsec || stickObj.options.reconnectMinMsec;
+    stickObj.reconnectDelayMsec = Math.min(delay * 2, stickObj.options.reconnectMaxMsec);
+
+    log.info(stickObj.portPath + " Trying to reopen in " + (delay / 1000) + " seconds.");
+    stickObj.reconnectTimer = setTimeout(function () {
+        stickObj.reconnectTimer = undefined;
+        openFct();
+    }, delay);
+}
+
 //--------------------------------------------------------------------------------------------------
 class StickUsb extends WmsVbStick {
     constructor(portPath, channel, panid, key, optionsPar, callback) {
-        super(portPath, channel, panid, key, optionsPar, callback);
+        super(portPath, channel, panid, key, Object.assign({}, defaultReconnectSettings, optionsPar), callback);
         this.portPath = portPath;
 
         if (this.options.autoOpen) {
@@ -16,7 +39,9 @@ class StickUsb extends WmsVbStick {
         }
     }
 
-    static listWmsStickSerialPorts(callback) {
+    // optionsPar: excludePaths (ports not to probe, e.g. already opened by another stick), timeoutMsec
+    static listWmsStickSerialPorts(callback, optionsPar) {
+        var options = Object.assign({excludePaths: [], timeoutMsec: 1000}, optionsPar);
         var portsList = [];
         var portsWorkList = [];
         var portsOpened = [];
@@ -28,7 +53,7 @@ class StickUsb extends WmsVbStick {
         // Promise instead of callback
         SerialPort.list().then(
             ports => {
-                timer = setTimeout(timeoutListWmsStickSerialPorts, 1000); // In 1 second all WMS Sticks should have answered.
+                timer = setTimeout(timeoutListWmsStickSerialPorts, options.timeoutMsec); // In 1 second all WMS Sticks should have answered.
 
                 // . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
                 function appendErrorMsg(msg) {
@@ -47,18 +72,32 @@ class StickUsb extends WmsVbStick {
 
                 // . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
                 function finishListWmsStickSerialPorts() {
+                    if (!callbackPendig) {
+                        return;
+                    }
+                    callbackPendig = false;
+
+                    // Call back only when all ports are closed, else the stick may find its port still busy
+                    var closePending = portsOpened.length;
+                    function callbackListWmsStickSerialPorts() {
+                        callback(errorMsg, {topic: "wms-vb-list-serial-ports", payload: {portsList: portsList}});
+                    }
+                    if (closePending === 0) {
+                        callbackListWmsStickSerialPorts();
+                        return;
+                    }
                     for (var i = 0; i < portsOpened.length; i++) {
                         log.debug('Closing ' + portsOpened[i].path + '.');
                         portsOpened[i].close(function (err) {
                             if (err) {
                                 appendErrorMsg('Error closing port: ' + err + ".");
                             }
+                            closePending--;
+                            if (closePending === 0) {
+                                callbackListWmsStickSerialPorts();
+                            }
                         });
                     }
-                    if (callbackPendig) {
-                        callback(errorMsg, {topic: "wms-vb-list-serial-ports", payload: {portsList: portsList}});
-                        callbackPendig = false;
-                    }
                 }
 
                 // . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
@@ -77,19 +116,30 @@ class StickUsb extends WmsVbStick {
                 // . End of local functions  . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
                 log.silly(ports.length + " ports found:\n" + JSON.stringify(ports, null, 2));
+                ports = ports.filter((port) => !options.excludePaths.includes(port.path));
                 ports.forEach((port) => {
                     portsWorkList.push(port.path);
                 });
+                if (ports.length === 0) {
+                    clearTimeout(timer);
+                    finishListWmsStickSerialPorts();
+                    return;
+                }
 
                 ports.forEach((port) => {
                     log.silly("foreach " + port.path);
                     if (true || port.path.includes("USB")) {
 
-                        var testPort = new SerialPort(port.path, {baudRate: 125000})
-                        var testParser = testPort.pipe(new Delimiter({delimiter: DelimiterChar}))
+                        var testPort = new SerialPort({path: port.path, baudRate: 125000})
+                        var testParser = testPort.pipe(new DelimiterParser({delimiter: DelimiterChar}))
 
                         testPort.on('open', function () {
                             log.silly('Opened serial port ' + port.path + '.');
+                            if (!callbackPendig) {
+                                // Opened after the timeout, the port would stay blocked for the stick.
+                                testPort.close(function () {});
+                                return;
+                            }
                             portsOpened.push(testPort);
 
                             testParser.on('data', function (data) {
@@ -101,6 +151,7 @@ class StickUsb extends WmsVbStick {
                                     if (posEndMarker >= 1) {
                                         version = version.substring(0, posEndMarker);
                                     }
+                                    version = version.trim();
                                     log.silly(port.path + " version: " + version);
                                     port.wmsStickVersion = version;
                                     portsList.push(port);
@@ -135,39 +186,66 @@ class StickUsb extends WmsVbStick {
                     }
                 });
             },
-            err => console.error(err)
+            err => callback('Error listing serial ports: ' + err.message + '.',
+                {topic: "wms-vb-list-serial-ports", payload: {portsList: []}})
         );
     }
 
     openUsbPort(portPath, channel, panid, key, options) {
         log.debug(portPath + " open(" + portPath + ", " + channel + ", " + panid + ", " + key + ", " + JSON.stringify(options) + ")");
 
-        this.port = new SerialPort({path: portPath, baudRate: 125000})
+        var port = new SerialPort({path: portPath, baudRate: 125000})
+        this.port = port;
 
         this.parser = this.port.pipe(new DelimiterParser({delimiter: DelimiterChar}))
 
         var stickObj = this;
+
+        // . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+        function reopen() {
+            stickObj.openUsbPort(portPath, channel, panid, key, options);
+        }
+
+        // . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
         this.port.on('open', function () {
             log.debug('Opened port ' + portPath + ' and listening ...');
+            stickObj.reconnectDelayMsec = undefined;
             stickObj.initWmsNetwork();
         })
 
         this.port.on('error', function (err) {
-            if (!portPath) {
-                portPath = portPath;
+            log.error(portPath + ' error: ' + err.message)
+            if (!port.isOpen) {
+                // Opening failed, i.e. stick not plugged in
+                privateScheduleReconnect(stickObj, err.message, reopen);
             }
-
-            log.error(portPath + ' error: ', err.message)
-            this.status = "error";
         })
 
         this.parser.on('data', function (data) {
             stickObj.comDataReceive(data.toString('utf8') + DelimiterChar);
         });
 
-        this.parser.on('close', function (data) {
+        this.port.on('close', function (err) {
             log.debug(portPath + ' port closed. ');
-            this.status = "created";
+            privateScheduleReconnect(stickObj, (err && err.message) ? err.message : "port closed", reopen);
+        });
+    }
+
+    close() {
+        var stickObj = this;
+        stickObj.closing = true;
+        super.close();
+        clearTimeout(stickObj.reconnectTimer);
+
+        return new Promise(function (resolve) {
+            if (stickObj.port && stickObj.port.isOpen) {
+                stickObj.port.close(function () {
+                    resolve();
+                });
+            } else {
+                resolve();
+            }
         });
     }
 
@@ -188,4 +266,108 @@ class StickUsb extends WmsVbStick {
 }
 
 //--------------------------------------------------------------------------------------------------
-module.exports = StickUsb;
\ No newline at end of file
+// Stick connected through a raw TCP socket, i.e. a ser2net server on a remote host
+// (portPath "tcp://host:port"). Baud rate and line settings are done on the ser2net side.
+class StickTcp extends WmsVbStick {
+    constructor(portPath, channel, panid, key, optionsPar, callback) {
+        super(portPath, channel, panid, key, Object.assign({}, defaultReconnectSettings, optionsPar), callback);
+        this.portPath = portPath;
+
+        if (this.options.autoOpen) {
+            this.openTcpPort(portPath, channel, panid, key, this.options);
+        }
+    }
+
+    static isTcpPortPath(portPath) {
+        return (typeof portPath === "string") && portPath.toLowerCase().startsWith("tcp://");
+    }
+
+    openTcpPort(portPath, channel, panid, key, options) {
+        log.debug(portPath + " open(" + portPath + ", " + channel + ", " + panid + ", " + key + ", " + JSON.stringify(options) + ")");
+
+        var url = new URL(portPath);
+        var host = url.hostname;
+        var port = parseInt(url.port, 10);
+        if (!host || !port) {
+            throw "WmsVbStickTcp: portPath has to be of form \"tcp://<host>:<port>\", got \"" + portPath + "\".";
+        }
+
+        this.port = net.createConnection({host: host, port: port});
+        this.port.setNoDelay(true);
+        this.port.setKeepAlive(true, 10000);
+
+        this.parser = this.port.pipe(new DelimiterParser({delimiter: DelimiterChar}))
+
+        var stickObj = this;
+
+        // . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+        function reopen() {
+            stickObj.openTcpPort(portPath, channel, panid, key, options);
+        }
+
+        // . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+        this.port.on('connect', function () {
+            log.debug('Connected to ' + portPath + ' and listening ...');
+            stickObj.reconnectDelayMsec = undefined;
+            stickObj.initWmsNetwork();
+        })
+
+        this.port.on('error', function (err) {
+            log.error(portPath + ' error: ' + err.message)
+            stickObj.lastError = err.message;
+        })
+
+        this.parser.on('data', function (data) {
+            stickObj.comDataReceive(data.toString('utf8') + DelimiterChar);
+        });
+
+        // Emitted after 'error' as well, so reconnecting is handled here only
+        this.port.on('close', function () {
+            log.debug(portPath + ' connection closed. ');
+            privateScheduleReconnect(stickObj, stickObj.lastError || "connection closed", reopen);
+            stickObj.lastError = undefined;
+        });
+    }
+
+    close() {
+        var stickObj = this;
+        stickObj.closing = true;
+        super.close();
+        clearTimeout(stickObj.reconnectTimer);
+
+        return new Promise(function (resolve) {
+            if (stickObj.port && !stickObj.port.destroyed) {
+                stickObj.port.once('close', function () {
+                    resolve();
+                });
+                stickObj.port.end();
+            } else {
+                resolve();
+            }
+        });
+    }
+
+    // Overwriting suber class
+    comDataSendCallback(dataString) {
+        // . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+        function portWriteErrHdlr(err) {
+            if (err) {
+                return log.error('Error on write to socket: ' + err.message)
+            }
+        }
+
+        // . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+        if (this.port && this.port.writable) {
+            this.port.write(dataString, portWriteErrHdlr);
+        } else {
+            log.warn(this.portPath + ' not connected, dropping ' + dataString);
+        }
+    }
+
+}
+
+//--------------------------------------------------------------------------------------------------
+module.exports = StickUsb;
+module.exports.StickTcp = StickTcp;
\ No newline at end of file
@@ -5,63 +5,239 @@
 
 const wmsUtil = require('./wms-util.js')
 const log = require('../logger.js');
+const fs = require('fs');
+const EventEmitter = require('events');
 
 const DELAY_MSG_PROC = 5;
+const POLL_TICK_MSEC = 500; // Position update scheduler: at most one poll per tick, only with idle queue
+const POLL_MIN_MSEC = 5000;
+const QUEUE_ACTIVITY_WINDOW_MSEC = 60000; // getQueueStatus: commands per minute and duty cycle over this time
 
 const defaultSettings = Object.freeze({
-    autoOpen: true
+    autoOpen: true,
+    recordFile: undefined, // JSONL capture of all raw frames sent and received
+    networkParamsConsole: true, // panid FFFF: log instructions and results (false: use the events)
+    // Adaptive position update (setPosUpdInterval)
+    pollActiveMsec: 300000, // after a command or position change poll 4 times faster for this time
+    pollIdleMsec: 3600000, // without change for this time poll half as often
+    pollNightHours: [22, 6], // local hours [from, to] to poll half as often, null: off
+    pollBackoffMaxMsec: 1800000, // blinds without answer: interval doubled per timeout up to this
+    cmdMaxAgeMsec: 60000, // commands not sent within this time are dropped ("expired"), 0: off
+    remoteResolveDelayMsec: 1000 // remote command: ask the blinds for their position after this time
 })
 
+// Events emitted for the callback topics. "wms-vb-cmd-result-..." topics are emitted as "commandResult".
+const callbackTopicEvents = Object.freeze({
+    "wms-vb-init-completion": "ready",
+    "wms-vb-scanned-devices": "scanned",
+    "wms-vb-blind-position-update": "position",
+    "wms-vb-rcv-weather-broadcast": "weather",
+    "wms-vb-rcv-scan-request": "scanRequest",
+    "wms-vb-rcv-wave-request": "waveRequest",
+    "wms-vb-rcv-remote-command": "remoteCommand",
+    "wms-vb-network-params": "networkParams",
+    "wms-vb-network-params-timeout": "networkParamsTimeout",
+    "wms-vb-blind-auto-settings": "autoSettings",
+    "wms-vb-blind-clock": "clock",
+    "wms-vb-blind-com-status": "comStatus",
+    "wms-vb-stick-disconnected": "disconnected"
+});
+const cmdResultTopicPrefix = "wms-vb-cmd-result-";
+
 
 
 
+//--------------------------------------------------------------------------------------------------
+// Command queue: stop commands first, then stick commands (scan, key, channel, ...), then one
+// command per blind in turn, so a busy blind does not hold up the others.
+function privateCmdQueueInit(stickObj) {
+    stickObj.wmsMsgQueue = {
+        stop: [],
+        stick: [],
+        blinds: {}, // snr hex -> []
+        blindOrder: [] // snr hex of blinds with queued commands, next to serve first
+    };
+}
+
+//--------------------------------------------------------------------------------------------------
+function privateCmdQueueLane(stickObj, wmsMsg, create) {
+    var queue = stickObj.wmsMsgQueue;
+    if (wmsMsg.msgType === "blindStopMove") {
+        return queue.stop;
+    }
+    if ((!wmsMsg.msgType.startsWith("blind")) && (wmsMsg.msgType !== "waveRequest")) {
+        return queue.stick;
+    }
+    if ((!queue.blinds[wmsMsg.snr]) && create) {
+        queue.blinds[wmsMsg.snr] = [];
+        queue.blindOrder.push(wmsMsg.snr);
+    }
+    return queue.blinds[wmsMsg.snr];
+}
+
+//--------------------------------------------------------------------------------------------------
+function privateCmdQueueAll(stickObj) {
+    var queue = stickObj.wmsMsgQueue;
+    var all = queue.stop.concat(queue.stick);
+    queue.blindOrder.forEach(function (snrHex) {
+        all = all.concat(queue.blinds[snrHex]);
+    });
+    return all;
+}
+
+//--------------------------------------------------------------------------------------------------
+function privateCmdQueueLength(stickObj) {
+    return privateCmdQueueAll(stickObj).length;
+}
+
+//--------------------------------------------------------------------------------------------------
+// Removes the messages matching the filter from all lanes. Returns the removed messages.
+function privateCmdQueueExtract(stickObj, filter) {
+    var queue = stickObj.wmsMsgQueue;
+    var extracted = [];
+
+    function extractFrom(lane) {
+        var i = 0;
+        while (i < lane.length) {
+            if (filter(lane[i])) {
+                extracted.push(lane.splice(i, 1)[0]);
+            } else {
+                i++;
+            }
+        }
+    }
+
+    extractFrom(queue.stop);
+    extractFrom(queue.stick);
+    queue.blindOrder.slice().forEach(function (snrHex) {
+        extractFrom(queue.blinds[snrHex]);
+        if (queue.blinds[snrHex].length === 0) {
+            delete queue.blinds[snrHex];
+            queue.blindOrder.splice(queue.blindOrder.indexOf(snrHex), 1);
+        }
+    });
+    return extracted;
+}
+
 //--------------------------------------------------------------------------------------------------
 function privateCmdQueueEnqueue(stickObj, wmsMsg, onEnd, priority) {
     wmsMsg.stickObj = stickObj;
     wmsMsg.queuedTs = new Date();
     wmsMsg.onEnd = onEnd;
 
+    if (stickObj.status === "disconnected") {
+        log.debug("Dropped (stick disconnected): " + wmsMsg.msgType + " " + wmsMsg.snr);
+        if (onEnd) {
+            setTimeout(function () {
+                onEnd("disconnected", wmsMsg, null);
+            }, 0);
+        }
+        return;
+    }
+
+    var lane = privateCmdQueueLane(stickObj, wmsMsg, true);
+
+    // Only the latest target position of a blind is of interest
+    if (wmsMsg.msgType === "blindMoveToPos") {
+        var i = lane.findIndex(function (queuedMsg) {
+            return queuedMsg.msgType === "blindMoveToPos";
+        });
+        if (i >= 0) {
+            var supersededMsg = lane[i];
+            lane[i] = wmsMsg;
+            log.silly("Enqueued (superseding " + JSON.stringify(supersededMsg.params) + "): " + wmsMsg.msgType + " " + wmsMsg.snr + " params: " + JSON.stringify(wmsMsg.params));
+            if (supersededMsg.onEnd) {
+                supersededMsg.onEnd("superseded", supersededMsg, null);
+            }
+            return;
+        }
+    }
+
     if (priority === "priority") {
-        stickObj.wmsMsgQueue.unshift(wmsMsg);
+        lane.unshift(wmsMsg);
         log.silly("Enqueued (priotity): " + wmsMsg.msgType + " " + wmsMsg.snr + " params: " + JSON.stringify(wmsMsg.params));
     } else {
-        stickObj.wmsMsgQueue.push(wmsMsg);
+        lane.push(wmsMsg);
         log.silly("Enqueued: " + wmsMsg.msgType + " " + wmsMsg.snr + " params: " + JSON.stringify(wmsMsg.params));
     }
 }
 
 //--------------------------------------------------------------------------------------------------
-function privateCmdQueueRemove(stickObj, msgType, snr) {
-    var countRemoved = 0;
-    var i = 0;
-    while (i < stickObj.wmsMsgQueue.length) {
-        if (((stickObj.wmsMsgQueue[i].msgType === msgType) || (!(msgType))) &&
-            ((stickObj.wmsMsgQueue[i].snr === snr) || (snr = "000000") || (!(snr)))) {
-            log.silly("privateCmdQueueRemove [" + i + "] " + stickObj.wmsMsgQueue[i].msgType + " " + stickObj.wmsMsgQueue[i].snr);
-            stickObj.wmsMsgQueue.splice(i, 1);
-            countRemoved++;
-        } else {
-            i++;
+// Puts a message to be retried back in front of its lane, unless a newer target position
+// for the blind is already waiting.
+function privateCmdQueueRequeue(stickObj, wmsMsg) {
+    var lane = privateCmdQueueLane(stickObj, wmsMsg, true);
+    if ((wmsMsg.msgType === "blindMoveToPos") && lane.some(function (queuedMsg) {
+        return queuedMsg.msgType === "blindMoveToPos";
+    })) {
+        log.silly("Retry dropped (superseded): " + wmsMsg.msgType + " " + wmsMsg.snr);
+        if (wmsMsg.onEnd) {
+            wmsMsg.onEnd("superseded", wmsMsg, null);
         }
+        return;
     }
-    return countRemoved;
+    lane.unshift(wmsMsg);
 }
 
 //--------------------------------------------------------------------------------------------------
-function privateCmdQueueHasMsg(stickObj, msgType, snr) {
-    var hasMsg = false;
-    var i = 0;
-    log.silly("privateCmdQueueHasMsg " + msgType + " " + snr + " ?");
-    while ((i < stickObj.wmsMsgQueue.length) && hasMsg === false) {
-        if (((stickObj.wmsMsgQueue[i].msgType === msgType) || (!(msgType))) &&
-            ((stickObj.wmsMsgQueue[i].snr === snr) || (snr = "000000") || (!(snr)))) {
-            log.silly("privateCmdQueueHasMsg [" + i + "] " + stickObj.wmsMsgQueue[i].msgType + " " + stickObj.wmsMsgQueue[i].snr);
-            hasMsg = true;
+// Next message to send. Messages not sent within options.cmdMaxAgeMsec are dropped.
+function privateCmdQueueDequeue(stickObj) {
+    var queue = stickObj.wmsMsgQueue;
+    var maxAge = stickObj.options.cmdMaxAgeMsec;
+    var wmsMsg;
+
+    while (wmsMsg === undefined) {
+        if (queue.stop.length > 0) {
+            wmsMsg = queue.stop.shift();
+        } else if (queue.stick.length > 0) {
+            wmsMsg = queue.stick.shift();
+        } else if (queue.blindOrder.length > 0) {
+            var snrHex = queue.blindOrder.shift();
+            wmsMsg = queue.blinds[snrHex].shift();
+            if (queue.blinds[snrHex].length > 0) {
+                queue.blindOrder.push(snrHex);
+            } else {
+                delete queue.blinds[snrHex];
+            }
         } else {
-            i++;
+            return undefined;
+        }
+
+        if ((maxAge > 0) && (wmsMsg.comTs === undefined) && (new Date() - wmsMsg.queuedTs > maxAge)) {
+            log.info("wmsExpired " + wmsMsg.msgType + " " + wmsMsg.snr + " queued " + (new Date() - wmsMsg.queuedTs) + " ms.");
+            if (wmsMsg.onEnd) {
+                wmsMsg.onEnd("expired", wmsMsg, null);
+            }
+            wmsMsg = undefined;
         }
     }
-    return hasMsg;
+    return wmsMsg;
+}
+
+//--------------------------------------------------------------------------------------------------
+function privateCmdQueueRemove(stickObj, msgType, snr) {
+    var snrHex = snr ? wmsUtil.snrNumToHex(snr) : snr; // queued messages hold the hex snr
+    var removed = privateCmdQueueExtract(stickObj, function (wmsMsg) {
+        return ((wmsMsg.msgType === msgType) || (!(msgType))) &&
+            ((wmsMsg.snr === snrHex) || (snrHex === "000000") || (!(snrHex)));
+    });
+    removed.forEach(function (wmsMsg) {
+        log.silly("privateCmdQueueRemove " + wmsMsg.msgType + " " + wmsMsg.snr);
+        if (wmsMsg.onEnd) {
+            wmsMsg.onEnd("removed", wmsMsg, null);
+        }
+    });
+    return removed.length;
+}
+
+//--------------------------------------------------------------------------------------------------
+function privateCmdQueueHasMsg(stickObj, msgType, snr) {
+    var snrHex = snr ? wmsUtil.snrNumToHex(snr) : snr; // queued messages hold the hex snr
+    log.silly("privateCmdQueueHasMsg " + msgType + " " + snr + " ?");
+    return privateCmdQueueAll(stickObj).some(function (wmsMsg) {
+        return ((wmsMsg.msgType === msgType) || (!(msgType))) &&
+            ((wmsMsg.snr === snrHex) || (snrHex === "000000") || (!(snrHex)));
+    });
 }
 
 //--------------------------------------------------------------------------------------------------
@@ -70,16 +246,76 @@ function privateCmdQueueClearExpects(stickObj) {
         clearTimeout(stickObj.currentTimeout);
         stickObj.currentTimeout = undefined;
     }
+    if (stickObj.currentWmsMsg && stickObj.currentWmsMsg.comTs) {
+        stickObj.queueActivity.busy.push([stickObj.currentWmsMsg.comTs.getTime(), Date.now()]);
+        privateQueueActivityPrune(stickObj, Date.now());
+    }
     stickObj.currentWmsMsg = undefined;
 }
 
+//--------------------------------------------------------------------------------------------------
+// Drops commands sent and busy periods that ended before the activity window.
+function privateQueueActivityPrune(stickObj, now) {
+    var activity = stickObj.queueActivity;
+    while ((activity.sent.length > 0) && (activity.sent[0] <= now - QUEUE_ACTIVITY_WINDOW_MSEC)) {
+        activity.sent.shift();
+    }
+    while ((activity.busy.length > 0) && (activity.busy[0][1] <= now - QUEUE_ACTIVITY_WINDOW_MSEC)) {
+        activity.busy.shift();
+    }
+}
+
+
+//--------------------------------------------------------------------------------------------------
+function privateRecordFrame(stickObj, dir, data) {
+    if (!stickObj.options.recordFile) {
+        return;
+    }
+    try {
+        fs.appendFileSync(stickObj.options.recordFile, JSON.stringify({
+            ts: new Date().toISOString(),
+            stick: stickObj.name,
+            dir: dir,
+            data: data
+        }) + "\n");
+    } catch (err) {
+        log.error(stickObj.name + " Recording to " + stickObj.options.recordFile + " failed, recording stopped: " + err.message);
+        stickObj.options.recordFile = undefined;
+    }
+}
+
+//--------------------------------------------------------------------------------------------------
+function privateEmitCallbackEvents(stickObj, err, msg) {
+    // Without listener EventEmitter throws on "error"
+    if (err && (stickObj.listenerCount("error") > 0)) {
+        stickObj.emit("error", (err instanceof Error) ? err : new Error(String(err)), msg);
+    }
+    if (!msg) {
+        return;
+    }
+    if (msg.topic.startsWith(cmdResultTopicPrefix)) {
+        stickObj.emit("commandResult", Object.assign({command: msg.topic.substr(cmdResultTopicPrefix.length)}, msg.payload));
+    } else if (callbackTopicEvents[msg.topic]) {
+        stickObj.emit(callbackTopicEvents[msg.topic], msg.payload);
+    }
+}
 
 //--------------------------------------------------------------------------------------------------
 function privateStickSendMsg(stickObj, wmsCmd) {
     wmsCmd.comTs = new Date();
+    wmsCmd.sendCount = (wmsCmd.sendCount || 0) + 1;
+    if (wmsCmd.sendCount === 1) {
+        stickObj.queueActivity.sent.push(wmsCmd.comTs.getTime());
+        privateQueueActivityPrune(stickObj, wmsCmd.comTs.getTime());
+    }
+    if (wmsCmd.refreshParams) {
+        wmsCmd.params = wmsCmd.refreshParams();
+        wmsCmd.stickCmd = wmsUtil.encodeCmd(wmsCmd.msgType, wmsCmd.snr, wmsCmd.params);
+    }
     log.debug("WMS-SND " + stickObj.name + ": " + wmsCmd.stickCmd.cmd);
     log.debug("MSG-SND " + stickObj.name + ": " + wmsCmd.msgType + " " + wmsCmd.snr + " " + JSON.stringify(wmsCmd.params));
 
+    privateRecordFrame(stickObj, "snd", wmsCmd.stickCmd.cmd);
     stickObj.comDataSendCallback(wmsCmd.stickCmd.cmd);
 }
 
@@ -101,13 +337,13 @@ function privateCmdQueueProcess(stickObj) {
             } else {
                 log.info("wmsRetry " + stickObj.currentWmsMsg.msgType + " " + stickObj.currentWmsMsg.snr + " " + JSON.stringify(stickObj.currentWmsMsg.stickCmd.cmd) + ".");
                 stickObj.currentWmsMsg.retry--;
-                stickObj.wmsMsgQueue.push(stickObj.currentWmsMsg);
+                privateCmdQueueRequeue(stickObj, stickObj.currentWmsMsg);
 
                 privateUpdateWmsComStatistics(stickObj, stickObj.currentWmsMsg.snr, "wmsRetry");
             }
             privateCmdQueueClearExpects(stickObj);
         } else {
-            log.W("cmdQueueTimeoutHdlr: Currently no MSG processing.");
+            log.warn("cmdQueueTimeoutHdlr: Currently no MSG processing.");
         }
 
         setTimeout(function () {
@@ -118,8 +354,8 @@ function privateCmdQueueProcess(stickObj) {
     // . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
     if (stickObj.currentWmsMsg === undefined) {
-        if (stickObj.wmsMsgQueue.length > 0) {
-            stickObj.currentWmsMsg = stickObj.wmsMsgQueue.shift();
+        stickObj.currentWmsMsg = privateCmdQueueDequeue(stickObj);
+        if (stickObj.currentWmsMsg) {
             stickObj.currentTimeout = setTimeout(cmdQueueTimeoutHdlr, stickObj.currentWmsMsg.timeout);
             log.silly("privateCmdQueueProcess sending " + stickObj.currentWmsMsg.msgType + " " + stickObj.currentWmsMsg.snr + " " + JSON.stringify(stickObj.currentWmsMsg.stickCmd.cmd) + ".");
             privateStickSendMsg(stickObj, stickObj.currentWmsMsg);
@@ -159,7 +395,7 @@ function privateOnWmsMsgRcv(stickObj, wmsMsg) {
         if (stickObj.currentWmsMsg.onEnd) {
             stickObj.currentWmsMsg.onEnd(""/*error*/, stickObj.currentWmsMsg, wmsMsg);
         } else {
-            log.W(stickObj.name + " No callback for expected MSG: " + JSON.stringify(wmsMsg));
+            log.warn(stickObj.name + " No callback for expected MSG: " + JSON.stringify(wmsMsg));
         }
         if (stickObj.currentWmsMsg.delayAfter) {
             log.silly(stickObj.name + " Delay after this msg: " + stickObj.currentWmsMsg.delayAfter);
@@ -172,26 +408,30 @@ function privateOnWmsMsgRcv(stickObj, wmsMsg) {
         privateCmdQueueClearExpects(stickObj);
     } else {
         if (wmsMsg.msgType === "weatherBroadcast") {
-            stickObj.weather.snr = wmsMsg.snrNum;
-            stickObj.weather.snrHex = wmsMsg.snr;
-            stickObj.weather.ts = new Date();
-            stickObj.weather.temp = wmsMsg.params.temp;
-            stickObj.weather.wind = wmsMsg.params.wind;
-            stickObj.weather.lumen = wmsMsg.params.lumen;
-            stickObj.weather.rain = wmsMsg.params.rain;
-            log.debug(stickObj.name + " weatherBroadcast: " + JSON.stringify(stickObj.weather));
+            // One entry per weather station, the last broadcast of any station is kept in weather
+            var weather = {
+                snr: wmsMsg.snrNum,
+                snrHex: wmsMsg.snr,
+                ts: new Date(),
+                temp: wmsMsg.params.temp,
+                wind: wmsMsg.params.wind,
+                lumen: wmsMsg.params.lumen,
+                rain: wmsMsg.params.rain
+            };
+            stickObj.weatherBroadcasts[wmsMsg.snr] = weather;
+            stickObj.weather = weather;
+            log.debug(stickObj.name + " weatherBroadcast: " + JSON.stringify(weather));
             stickObj.callback(undefined, {
                 topic: "wms-vb-rcv-weather-broadcast",
-                payload: {weather: stickObj.weather, wmsMsg: wmsMsg}
+                payload: {weather: weather, wmsMsg: wmsMsg}
             });
         } else if (wmsMsg.msgType === "scanResponse") {
-            log.info(stickObj.name + " Scanned device: " + wmsMsg.snr + " Type " + wmsMsg.params.deviceType + " " + wmsMsg.params.deviceTypeStr);
+            log.info(stickObj.name + " Scanned device: " + wmsMsg.snr + " Type " + wmsMsg.params.deviceType);
             privateUpdateWmsComStatistics(stickObj, 0/*snr*/, "wmsRecieved");
 
             device = privateGetScannedDevBySnrHex(stickObj, wmsMsg.snr);
             device.snr = wmsMsg.snrNum;
             device.type = wmsMsg.params.deviceType;
-            device.typeStr = wmsMsg.params.deviceTypeStr;
         } else if (wmsMsg.msgType === "scanRequest") {
             stickObj.callback(undefined, {
                 topic: "wms-vb-rcv-scan-request",
@@ -236,6 +476,10 @@ function privateOnWmsMsgRcv(stickObj, wmsMsg) {
             setTimeout(function () {
                 privateCmdQueueProcess(stickObj);
             }, DELAY_MSG_PROC);
+        } else if (wmsMsg.msgType === "blindMoveToPos") {
+            // Button of a hand-held transmitter or central, the frame names the sender only
+            log.debug(stickObj.name + " Remote command from " + wmsMsg.snr + ": " + JSON.stringify(wmsMsg.params));
+            privateResolveRemoteCommand(stickObj, wmsMsg);
         } else if ((wmsMsg.msgType != "ack") && (wmsMsg.msgType != "fwd")) {
             log.debug(stickObj.name + " Received unexpected MSG: " + wmsMsg.msgType + " snr=" + wmsMsg.snr);
             if (stickObj.currentWmsMsg != undefined) {
@@ -247,6 +491,93 @@ function privateOnWmsMsgRcv(stickObj, wmsMsg) {
     }
 }
 
+//--------------------------------------------------------------------------------------------------
+// The frame of a transmitter does not name its receivers. After remoteResolveDelayMsec all blinds
+// are asked for their position: a move was meant for the blinds moving now, a stop for the blinds
+// of the last move of this transmitter and for those that were moving and stand now.
+// The command is emitted once all blinds answered (or failed).
+function privateResolveRemoteCommand(stickObj, wmsMsg) {
+    var pending = stickObj.remoteCommandsPending[wmsMsg.snr];
+    if (pending && (pending.stickCmd === wmsMsg.stickCmd)) {
+        log.silly(stickObj.name + " Remote command repeated: " + wmsMsg.stickCmd);
+        return;
+    }
+
+    var entry = {stickCmd: wmsMsg.stickCmd};
+    var isStop = (wmsMsg.params.action === "stop");
+    var answers = [];
+    var blinds = stickObj.vnBlinds.slice();
+    var open = blinds.length;
+    var wasMoving = blinds.map(function (blind) {
+        return blind.posCurrent.moving;
+    });
+    stickObj.remoteCommandsPending[wmsMsg.snr] = entry;
+
+    // . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+    function finish() {
+        if (stickObj.remoteCommandsPending[wmsMsg.snr] === entry) {
+            delete stickObj.remoteCommandsPending[wmsMsg.snr];
+        }
+        // Evaluated now, a move of this transmitter resolved in the meantime counts
+        var lastReceivers = stickObj.remoteReceivers[wmsMsg.snr] || [];
+        var receivers = answers.filter(function (answer) {
+            if (isStop) {
+                return (lastReceivers.indexOf(answer.blind.snrHex) >= 0) || (answer.wasMoving && !answer.moving);
+            }
+            return answer.moving;
+        }).map(function (answer) {
+            return {snr: answer.blind.snr, snrHex: answer.blind.snrHex, name: answer.blind.name};
+        });
+        if (!isStop) {
+            stickObj.remoteReceivers[wmsMsg.snr] = receivers.map(function (receiver) {
+                return receiver.snrHex;
+            });
+        }
+        log.debug(stickObj.name + " Remote command from " + wmsMsg.snr + " for: " + (receivers.map(function (receiver) {
+            return receiver.snrHex;
+        }).join(", ") || "-"));
+        stickObj.callback(undefined, {
+            topic: "wms-vb-rcv-remote-command",
+            payload: {
+                snr: wmsMsg.snrNum,
+                snrHex: wmsMsg.snr,
+                action: wmsMsg.params.action,
+                position: wmsMsg.params.position,
+                angle: wmsMsg.params.angle,
+                valance_1: wmsMsg.params.valance_1,
+                valance_2: wmsMsg.params.valance_2,
+                stickCmd: wmsMsg.stickCmd,
+                receivers: receivers
+            }
+        });
+    }
+
+    if (open === 0) {
+        finish();
+        return;
+    }
+    setTimeout(function () {
+        blinds.forEach(function (blind, index) {
+            if (!stickObj.vnBlindGet(blind.snr)) { // Removed in the meantime
+                open--;
+                if (open === 0) {
+                    finish();
+                }
+                return;
+            }
+            stickObj.vnBlindGetPosition(blind.snr, {cmdConfirmation: false, callbackOnUnchangedPos: false}, function (error, wmsMsgRcv) {
+                if (!error && wmsMsgRcv) {
+                    answers.push({blind: blind, wasMoving: wasMoving[index], moving: !!wmsMsgRcv.params.moving});
+                }
+                open--;
+                if (open === 0) {
+                    finish();
+                }
+            });
+        });
+    }, stickObj.options.remoteResolveDelayMsec);
+}
+
 //--------------------------------------------------------------------------------------------------
 function privateUpdateWmsComStatistics(stickObj, id, propertyStr, value) {
     log.silly("privateUpdateWmsComStatistics( (" + (typeof id) + ") \"" + id + "\", " + propertyStr + ", " + value + " )");
@@ -271,6 +602,9 @@ function privateUpdateWmsComStatistics(stickObj, id, propertyStr, value) {
                 if (propertyStr === "wmsRecieved") {
                     obj.wmsComDuration += (obj.wmsRecievedTs.getTime() - obj.wmsSentTs.getTime());
                     obj.wmsComMaxDuration = Math.max(obj.wmsComMaxDuration, obj.wmsRecievedTs.getTime() - obj.wmsSentTs.getTime());
+                    obj.wmsTimeoutSeqCount = 0;
+                } else if (propertyStr === "wmsTimeout") {
+                    obj.wmsTimeoutSeqCount = (obj.wmsTimeoutSeqCount || 0) + 1;
                 }
                 break;
             default:
@@ -290,7 +624,20 @@ function privateUpdateWmsComStatistics(stickObj, id, propertyStr, value) {
     propertyStr = propertyStr.trim();
     // Set property for blind
     if (blind) {
+        var prevTimeoutSeqCount = blind.wmsTimeoutSeqCount;
         checkAndSetComStatistics(blind, propertyStr);
+
+        // Notify timeouts and the first answer after timeouts (reachability of the blind)
+        if (blind.wmsTimeoutSeqCount !== prevTimeoutSeqCount) {
+            stickObj.callback(undefined, {
+                topic: "wms-vb-blind-com-status",
+                payload: {
+                    snr: blind.snr, snrHex: blind.snrHex, name: blind.name,
+                    timeoutSeqCount: blind.wmsTimeoutSeqCount,
+                    lastResponseTs: blind.wmsRecievedTs
+                }
+            });
+        }
     }
     // Set property for stick
     checkAndSetComStatistics(stickObj, propertyStr);
@@ -303,7 +650,6 @@ function privateGetScannedDevBySnrHex(stickObj, snrHex) {
             snr: wmsUtil.snrHexToNum(snrHex),
             snrHex: snrHex,
             type: "00",
-            typeStr: "<unknown type>",
         };
         log.silly("created device " + JSON.stringify(stickObj.scannedDevUniqueObj[snrHex]));
     }
@@ -335,8 +681,8 @@ function privateFinishScannedDevices(stickObj, options) {
             stickObj.vnBlinds = [];
             stickObj.scannedDevArray.forEach(function (device, index) {
                 if ((device.type === '20') || (device.type === '21') || (device.type === '24') || (device.type === '25') || (device.type === '28') || (device.type === '2A')) {
-                    stickObj.vnBlindAdd(device.snr, device.typeStr.trim() + " " + device.snr + " (" + device.snrHex + ")");
-                    log.info(stickObj.name + "   Added " + device.typeStr.trim() + " " + device.snr + " (" + device.snrHex + ")");
+                    stickObj.vnBlindAdd(device.snr, "Type " + device.type + " " + device.snr + " (" + device.snrHex + ")");
+                    log.info(stickObj.name + "   Added type " + device.type + " " + device.snr + " (" + device.snrHex + ")");
                 }
             });
         }
@@ -348,6 +694,79 @@ function privateFinishScannedDevices(stickObj, options) {
     stickObj.callback(undefined, {topic: "wms-vb-scanned-devices", payload: {devices: stickObj.scannedDevArray}});
 }
 
+//--------------------------------------------------------------------------------------------------
+function privateIsNight(nightHours, date) {
+    if (!nightHours) {
+        return false;
+    }
+    var hour = date.getHours();
+    if (nightHours[0] > nightHours[1]) {
+        return (hour >= nightHours[0]) || (hour < nightHours[1]);
+    }
+    return (hour >= nightHours[0]) && (hour < nightHours[1]);
+}
+
+//--------------------------------------------------------------------------------------------------
+function privatePollIntervalMsec(stickObj, blind, now) {
+    var options = stickObj.options;
+    var interval = stickObj.posUpdIntervalMsec;
+    var lastActivity = Math.max(blind.cmdTs || 0, blind.posChangeTs || 0);
+
+    // Unreachable: back off exponentially
+    if (blind.wmsTimeoutSeqCount > 0) {
+        return Math.min(interval * Math.pow(2, blind.wmsTimeoutSeqCount), Math.max(interval, options.pollBackoffMaxMsec));
+    }
+    if ((now - lastActivity) < options.pollActiveMsec) {
+        return Math.max(interval / 4, POLL_MIN_MSEC);
+    }
+    if ((now - Math.max(lastActivity, blind.creationTs.getTime())) > options.pollIdleMsec) {
+        interval *= 2;
+    }
+    if (privateIsNight(options.pollNightHours, new Date(now))) {
+        interval *= 2;
+    }
+    return interval;
+}
+
+//--------------------------------------------------------------------------------------------------
+function privatePollSchedulerTick(stickObj) {
+    // User commands first
+    if ((stickObj.currentWmsMsg !== undefined) || (privateCmdQueueLength(stickObj) > 0)) {
+        return;
+    }
+
+    var now = Date.now();
+    var due = undefined;
+    stickObj.vnBlinds.forEach(function (blind) {
+        if (blind.pollNextTs === undefined) {
+            // Added after setPosUpdInterval()
+            blind.pollNextTs = now + Math.round(Math.random() * stickObj.posUpdIntervalMsec);
+        }
+        // Moving blinds are polled by setWatchMovingBlindsInterval()
+        if ((!blind.posCurrent.moving) && (blind.pollNextTs <= now) && ((!due) || (blind.pollNextTs < due.pollNextTs))) {
+            due = blind;
+        }
+    });
+
+    if (due) {
+        // +-10% jitter keeps the polls spread over the interval
+        due.pollNextTs = now + Math.round(privatePollIntervalMsec(stickObj, due, now) * (0.9 + Math.random() * 0.2));
+        log.silly(stickObj.name + " Scheduled position update " + due.snr + ", next in " + (due.pollNextTs - now) + " ms.");
+        stickObj.vnBlindGetPosition(due.snr, {
+            cmdConfirmation: false,
+            callbackOnUnchangedPos: false
+        });
+    }
+}
+
+//--------------------------------------------------------------------------------------------------
+function privateBlindCommanded(blind) {
+    blind.cmdTs = Date.now();
+    if (blind.pollNextTs !== undefined) {
+        blind.pollNextTs = Math.min(blind.pollNextTs, blind.cmdTs + POLL_MIN_MSEC);
+    }
+}
+
 //--------------------------------------------------------------------------------------------------
 function privateUpdateBlindPosWithCallback(blind, newPos, callbackFct, optionsPar) {
 
@@ -357,6 +776,9 @@ function privateUpdateBlindPosWithCallback(blind, newPos, callbackFct, optionsPa
 
     if ((options.callbackOnUnchangedPos) ||
         (!newPos.equals(blind.posCurrent))) {
+        if ((blind.posCurrent.pos !== -1) && (!newPos.equals(blind.posCurrent))) {
+            blind.posChangeTs = Date.now();
+        }
         blind.posCurrent = new VnBlindPos(newPos);
 
         if (callbackFct) {
@@ -364,13 +786,86 @@ function privateUpdateBlindPosWithCallback(blind, newPos, callbackFct, optionsPa
                 topic: "wms-vb-blind-position-update",
                 payload: {
                     snr: blind.snr, snrHex: blind.snrHex, name: blind.name,
-                    position: blind.posCurrent.pos, angle: blind.posCurrent.ang, moving: blind.posCurrent.moving
+                    position: blind.posCurrent.pos, angle: blind.posCurrent.ang, moving: blind.posCurrent.moving,
+                    valance_1: blind.posCurrent.valance_1, valance_2: blind.posCurrent.valance_2
                 }
             });
         }
     }
 }
 
+//--------------------------------------------------------------------------------------------------
+function privateUpdateBlindAutoSettings(stickObj, blind, wmsMsgRcv) {
+    var params = wmsMsgRcv.params;
+
+    blind.autoSettings = {
+        windLimit: params.windLimit,
+        rainEnabled: params.rainEnabled,
+        sunLimit: params.sunLimit,
+        duskLimit: params.duskLimit,
+        autoEnabled: params.autoEnabled
+    };
+    // Raw values incl. unknown parts, needed to write the settings
+    blind.autoSettingsRaw = {
+        unknown_1: params.unknown_1, wind: params.wind, unknown_2: params.unknown_2,
+        rain: params.rain, sun: params.sun, dusk: params.dusk, op: params.op, unknown_3: params.unknown_3
+    };
+    blind.autoSettingsTs = new Date();
+
+    stickObj.callback(null/*err*/, {
+        topic: "wms-vb-blind-auto-settings",
+        payload: {
+            snr: blind.snr, snrHex: blind.snrHex, name: blind.name,
+            autoSettings: blind.autoSettings
+        }
+    });
+}
+
+//--------------------------------------------------------------------------------------------------
+function privateClockParams(date) {
+    return {
+        year: date.getFullYear() - 2000,
+        month: date.getMonth() + 1,
+        day: date.getDate(),
+        hour: date.getHours(),
+        minute: date.getMinutes(),
+        second: date.getSeconds(),
+        day_of_week: date.getDay() === 0 ? 7 : date.getDay() // 1: monday .. 7: sunday
+    };
+}
+
+//--------------------------------------------------------------------------------------------------
+// Runs fct( onDone ) of a vnBlind... method and settles the promise when onDone( error, wmsMsgRcv ) is called.
+function privateBlindPromise(stickObj, cmdName, id, fct) {
+    return new Promise(function (resolve, reject) {
+        var blind = stickObj.vnBlindGet(id);
+
+        function cmdError(error) {
+            var err = new Error(cmdName + " \"" + id + "\": " + error);
+            err.code = error;
+            return err;
+        }
+
+        if (!blind) {
+            reject(cmdError("unknown blind"));
+            return;
+        }
+        fct(function (error, wmsMsgRcv) {
+            if (error) {
+                reject(cmdError(error));
+            } else {
+                resolve(wmsMsgRcv);
+            }
+        });
+    });
+}
+
+//--------------------------------------------------------------------------------------------------
+function privateValanceOrNull(valance) {
+    var value = parseInt(valance);
+    return isNaN(value) ? null : value;
+}
+
 //--------------------------------------------------------------------------------------------------
 function privateInitWmsStatistics(obj) {
     obj.wmsSentCount = 0;
@@ -386,6 +881,7 @@ function privateInitWmsStatistics(obj) {
 
     obj.wmsTimeoutCount = 0;
     obj.wmsTimeoutTs = new Date(0);
+    obj.wmsTimeoutSeqCount = 0; // timeouts since the last answer
 }
 
 //--------------------------------------------------------------------------------------------------
@@ -406,6 +902,7 @@ function privateCopyWmsStatistics(objTo, objFrom) {
     objTo.wmsTimeoutCount = objFrom.wmsTimeoutCount;
     objTo.wmsTimeoutTs = new Date(objFrom.wmsTimeoutTs.getTime());
     objTo.wmsTimeoutRate = objFrom.wmsSentCount ? (objFrom.wmsTimeoutCount / objFrom.wmsSentCount) : 0;
+    objTo.wmsTimeoutSeqCount = objFrom.wmsTimeoutSeqCount;
 }
 
 //--------------------------------------------------------------------------------------------------
@@ -414,60 +911,79 @@ function privateCopyWmsStatistics(objTo, objFrom) {
 
 //--------------------------------------------------------------------------------------------------
 class VnBlindPos {
-    constructor(pos, ang, moving) {
+    constructor(pos, ang, moving, valance_1, valance_2) {
         this.pos = NaN;
         this.ang = NaN;
         this.moving = false;
+        this.valance_1 = null; // null: no valance / unknown
+        this.valance_2 = null;
 
         if (typeof pos === "object") {
             this.pos = parseInt(pos.pos);
             this.ang = parseInt(pos.ang);
             this.moving = !!pos.moving; // !! converts anything to Boolean
+            this.valance_1 = privateValanceOrNull(pos.valance_1);
+            this.valance_2 = privateValanceOrNull(pos.valance_2);
         } else {
             this.pos = parseInt(pos);
             this.ang = parseInt(ang);
             this.moving = !!moving; // !! converts anything to Boolean
+            this.valance_1 = privateValanceOrNull(valance_1);
+            this.valance_2 = privateValanceOrNull(valance_2);
         }
 
         if ((this.pos === NaN) || (this.ang === NaN)) {
-            throw "VnBlindPos: Constructor has to evaluate to VnBlindPos( <number pos>, <number ang>, <boolean moving> ) or VnBlindPos( { pos:<number>, ang:<number>, moving:<boolean> } ).";
+            throw "VnBlindPos: Constructor has to evaluate to VnBlindPos( <number pos>, <number ang>, <boolean moving> [, <number valance_1>, <number valance_2>] ) or VnBlindPos( { pos:<number>, ang:<number>, moving:<boolean>, valance_1:<number>, valance_2:<number> } ).";
         }
 
     }
 
-    equals(pos, ang, moving) {
+    equals(pos, ang, moving, valance_1, valance_2) {
         if ((typeof pos) === "number") {
-            return ((this.pos === pos) && (this.ang === ang) && (this.moving === moving));
+            return ((this.pos === pos) && (this.ang === ang) && (this.moving === moving) &&
+                (this.valance_1 === privateValanceOrNull(valance_1)) && (this.valance_2 === privateValanceOrNull(valance_2)));
         } else if ((typeof pos.pos) === "number") {
-            return ((this.pos === pos.pos) && (this.ang === pos.ang) && (this.moving === pos.moving));
+            return ((this.pos === pos.pos) && (this.ang === pos.ang) && (this.moving === pos.moving) &&
+                (this.valance_1 === privateValanceOrNull(pos.valance_1)) && (this.valance_2 === privateValanceOrNull(pos.valance_2)));
         }
     }
 }
 
 //--------------------------------------------------------------------------------------------------
-class Stick {
+class Stick extends EventEmitter {
     // ~ ~ method ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~
     constructor(name, channel, panid, key, optionsPar, callback, comDataSendCallback) {
         // Checks
-        if ((typeof callback) != "function") {
-            throw "WmsVbStick: callback must be of type \"function\".";
+        if (((typeof callback) != "function") && (callback != undefined)) {
+            throw "WmsVbStick: callback must be of type \"function\" or undefined.";
         }
         if (((typeof comDataSendCallback) != "function") && (comDataSendCallback != undefined)) {
             throw "WmsVbStick: comDataSendCallback must be of type \"function\" or undefined.";
         }
+        super();
+        var stickObj = this;
         // Attributes
         this.name = name;
-        this.status = "created"; // created init ready error
+        this.status = "created"; // created init ready error disconnected
         this.channel = channel;
         this.panid = panid;
         this.key = key;
         this.options = Object.assign({}, defaultSettings, optionsPar);
-        this.callback = callback;
+        this.callback = function (err, msg) { // Emits the events, then calls the callback given (if any)
+            privateEmitCallbackEvents(stickObj, err, msg);
+            if (callback) {
+                callback(err, msg);
+            }
+        };
         if (comDataSendCallback) {
             this.comDataSendCallback = comDataSendCallback; // function ( string );
         }
         this.vnBlinds = [];
-        this.wmsMsgQueue = [];
+        privateCmdQueueInit(this);
+        this.queueActivity = {
+            sent: [], // ms timestamps of commands sent (without retries)
+            busy: [] // [from, to] ms: command sent, waiting for the answer
+        };
         this.currentWmsMsg = undefined;
         this.currentTimeout = undefined;
         this.weather = {
@@ -479,6 +995,9 @@ class Stick {
             lumen: 0,
             rain: false
         };
+        this.weatherBroadcasts = {}; // snrHex -> last broadcast of this station
+        this.remoteCommandsPending = {}; // snrHex of the transmitter -> command being resolved
+        this.remoteReceivers = {}; // snrHex of the transmitter -> snrHex of the receivers of its last move
         this.startupTs = new Date();
         this.scannedDevUniqueObj = {};
         this.scannedDevArray = [];
@@ -491,28 +1010,81 @@ class Stick {
 
         privateInitWmsStatistics(this);
 
+        if (this.options.recordFile) {
+            log.info(name + " Recording raw stick traffic to " + this.options.recordFile + ".");
+        }
+
         // panid=FFFF -> get netwok paramters
         if (panid === "FFFF") {
             const timeoutMsec = 180000;
 
-            var stickObj = this;
             this.getNetworkParamsTimeout = setTimeout(function () {
-                stickObj.getNetworkParamsCallback("timeout", {
+                stickObj.callback("timeout", {
                     topic: "wms-vb-network-params-timeout",
                     payload: {milliseconds: timeoutMsec}
                 });
             }, timeoutMsec);
 
-            this.getNetworkParamsCallbackSave = this.callback;
-            this.callback = stickObj.getNetworkParamsCallback;
+            this.getNetworkParamsCallbackSave = callback;
+            this.callback = function (err, msg) {
+                privateEmitCallbackEvents(stickObj, err, msg);
+                stickObj.getNetworkParamsCallback(err, msg);
+                if (stickObj.getNetworkParamsCallbackSave) {
+                    stickObj.getNetworkParamsCallbackSave(err, msg);
+                }
+            };
         }
     }
 
     // ~ ~ method ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~
     comDataReceive(data) {
-        privateOnWmsMsgRcv(this, wmsUtil.decodeStickCmd(data));
+        privateRecordFrame(this, "rcv", data);
+        var wmsMsg = wmsUtil.decodeStickCmd(data);
+        wmsMsg.rcvTs = new Date();
+        privateOnWmsMsgRcv(this, wmsMsg);
     };
 
+    // ~ ~ method ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~
+    // To be called by the transport when the connection to the stick is lost. Stops cyclic
+    // updates and drops all pending messages; after reconnecting call initWmsNetwork() again.
+    comConnectionLost(reason) {
+        var stickObj = this;
+
+        if (stickObj.status === "disconnected") {
+            return;
+        }
+        log.warn(stickObj.name + " Connection to stick lost: " + reason);
+        stickObj.status = "disconnected";
+
+        stickObj.setPosUpdInterval(0);
+        stickObj.setWatchMovingBlindsInterval(0);
+
+        var droppedMsgs = privateCmdQueueAll(stickObj);
+        if (stickObj.currentWmsMsg) {
+            droppedMsgs.unshift(stickObj.currentWmsMsg);
+        }
+        privateCmdQueueInit(stickObj);
+        privateCmdQueueClearExpects(stickObj);
+        droppedMsgs.forEach(function (wmsMsg) {
+            if (wmsMsg.onEnd) {
+                wmsMsg.onEnd("disconnected", wmsMsg, null);
+            }
+        });
+
+        stickObj.callback(undefined, {topic: "wms-vb-stick-disconnected", payload: {reason: reason}});
+    }
+
+    // ~ ~ method ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~
+    // Stops cyclic updates and pending timers. The transports overwrite it to release their
+    // connection as well, so the port can be opened again by a new stick object.
+    close() {
+        this.setPosUpdInterval(0);
+        this.setWatchMovingBlindsInterval(0);
+        clearTimeout(this.getNetworkParamsTimeout);
+        clearTimeout(this.currentTimeout);
+        return Promise.resolve();
+    }
+
     // ~ ~ method ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~
     initWmsNetwork() {
         // . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
@@ -538,6 +1110,7 @@ class Stick {
         // . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
         var stickObj = this;
+        stickObj.status = "init";
         privateCmdQueueEnqueue(stickObj, new wmsUtil.wmsMsgNew("stickGetName", 0, {}), privateHandleWmsCompletionGeneric);
         privateCmdQueueEnqueue(stickObj, new wmsUtil.wmsMsgNew("stickGetVersion", 0, {}), privateHandleWmsCompletionGeneric);
         privateCmdQueueEnqueue(stickObj, new wmsUtil.wmsMsgNew('stickSetKey', 0, {key: stickObj.key}), privateHandleWmsCompletionGeneric);
@@ -555,50 +1128,61 @@ class Stick {
     getNetworkParamsCallback(err, msg) {
         var stickObj = this;
 
+        // . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+        function info(text) {
+            if (stickObj.options.networkParamsConsole) {
+                log.info(text);
+            } else {
+                log.debug(text);
+            }
+        }
+
+        // . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
         const waveReqText = "*** Waving and Hello!";
 
         if (msg.topic === "wms-vb-init-completion") {
             //     "12345678901234567890123456789012345678901234567890123456789012345678901234567890" );
-            log.info("--------------------------------------------------------------------------------");
-            log.info("Starting getting network paramters...");
-            log.info("- Open the battery case of the WMS Handheld transmitter.");
-            log.info("- Select the channel using the (+) button.");
-            log.info("  Notice: If an unassigned channel is selected, press the (+) button for 5 s.");
-            log.info("          As soon as the LED flashes, all channels can be selected by");
-            log.info("          pressing the (+) button again");
-            log.info("- Press the learn button in the battery case of the the WMS Handheld");
-            log.info("  transmitter for approx. 5 s. LEDS go green; the transmission LED flashes.");
-            log.info("  For several seconds, the WMSHand-held transmitter plus scans the operating ");
-            log.info("  range for devices.");
-            log.info("- Each time when scanning stops with red LED perform steps:");
-            log.info("  1)  When you press the control button (A), you can check WHICH target device");
-            log.info("      was just found.");
-            log.info("  2) If you can *not* see the output");
-            log.info("       \"" + waveReqText + "\"");
-            log.info("     on the screen after pressing (A) another device than the WMS Stick has");
-            log.info("     been found. Press the (C) button to switch to the next receiver.");
-            log.info("  3) If you can see the output");
-            log.info("       \"" + waveReqText + "\"");
-            log.info("     on the screen after pressing (A) then the WMS Stick has been found. ");
-            log.info("     Press the STOP button to assign the WMS Stick to the channel. After ");
-            log.info("     pressing STOP the network parameters are dislayed on the screen. ");
-            log.info("- Press Ctrl-C to abort.");
+            info("--------------------------------------------------------------------------------");
+            info("Starting getting network paramters...");
+            info("- Open the battery case of the WMS Handheld transmitter.");
+            info("- Select the channel using the (+) button.");
+            info("  Notice: If an unassigned channel is selected, press the (+) button for 5 s.");
+            info("          As soon as the LED flashes, all channels can be selected by");
+            info("          pressing the (+) button again");
+            info("- Press the learn button in the battery case of the the WMS Handheld");
+            info("  transmitter for approx. 5 s. LEDS go green; the transmission LED flashes.");
+            info("  For several seconds, the WMSHand-held transmitter plus scans the operating ");
+            info("  range for devices.");
+            info("- Each time when scanning stops with red LED perform steps:");
+            info("  1)  When you press the control button (A), you can check WHICH target device");
+            info("      was just found.");
+            info("  2) If you can *not* see the output");
+            info("       \"" + waveReqText + "\"");
+            info("     on the screen after pressing (A) another device than the WMS Stick has");
+            info("     been found. Press the (C) button to switch to the next receiver.");
+            info("  3) If you can see the output");
+            info("       \"" + waveReqText + "\"");
+            info("     on the screen after pressing (A) then the WMS Stick has been found. ");
+            info("     Press the STOP button to assign the WMS Stick to the channel. After ");
+            info("     pressing STOP the network parameters are dislayed on the screen. ");
+            info("- Press Ctrl-C to abort.");
         } else if (msg.topic === "wms-vb-rcv-scan-request") {
-            log.info("*** Stick scanned by SNR " + msg.payload.snr + ".");
+            info("*** Stick scanned by SNR " + msg.payload.snr + ".");
         } else if (msg.topic === "wms-vb-rcv-wave-request") {
-            log.info("*** " + waveReqText + " (requested from SNR " + msg.payload.snr + ")");
+            info("*** " + waveReqText + " (requested from SNR " + msg.payload.snr + ")");
         } else if (msg.topic === "wms-vb-network-params") {
             if (stickObj.status != "error") {
                 clearTimeout(stickObj.getNetworkParamsTimeout);
-                log.info("*** WMS Network parameters successfully detected:");
-                log.info("    Channel: " + msg.payload.channel);
-                log.info("    PanId:   " + msg.payload.panId);
-                log.info("    Key:     " + msg.payload.networkKey);
-                log.info("- Write down and remember the network parameters.");
-                log.info("- Briefly press the learn button on the back of WMS Handheld transmitter to");
-                log.info("  stop the scanning process.");
-                log.info("- Press Ctrl-C to stop program.");
-                log.info("--------------------------------------------------------------------------------");
+                info("*** WMS Network parameters successfully detected:");
+                info("    Channel: " + msg.payload.channel);
+                info("    PanId:   " + msg.payload.panId);
+                info("    Key:     " + msg.payload.networkKey);
+                info("- Write down and remember the network parameters.");
+                info("- Briefly press the learn button on the back of WMS Handheld transmitter to");
+                info("  stop the scanning process.");
+                info("- Press Ctrl-C to stop program.");
+                info("--------------------------------------------------------------------------------");
                 //     "12345678901234567890123456789012345678901234567890123456789012345678901234567890" );
                 stickObj.status = "error";
                 // try resetting the stick and continue
@@ -609,9 +1193,9 @@ class Stick {
                 // delete stickObj.getNetworkParamsCallbackSave;
             }
         } else if (msg.topic === "wms-vb-network-params-timeout") {
-            log.info("Timeout occured detecting WMS network parameters.");
-            log.info("Please complete operation within " + msg.payload.milliseconds / 60000 + " minutes.");
-            log.info("--------------------------------------------------------------------------------");
+            info("Timeout occured detecting WMS network parameters.");
+            info("Please complete operation within " + msg.payload.milliseconds / 60000 + " minutes.");
+            info("--------------------------------------------------------------------------------");
             stickObj.status = "error";
         }
     }
@@ -683,10 +1267,10 @@ class Stick {
         log.silly("vnBlindAdd( " + snr + ", " + name + " )");
 
         if (stickObj.vnBlindGet(snr)) {
-            log.W("vnBlindAdd: Blind with snr " + snr + " is already added.");
+            log.warn("vnBlindAdd: Blind with snr " + snr + " is already added.");
         }
         if (stickObj.vnBlindGet(name)) {
-            log.W("vnBlindAdd: Blind with name \"" + name + "\" is already added.");
+            log.warn("vnBlindAdd: Blind with name \"" + name + "\" is already added.");
         }
 
         var blind = {};
@@ -748,6 +1332,17 @@ class Stick {
         return stickObj.weather;
     }
 
+    // ~ ~ method ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~
+    getWeatherBroadcasts() {
+        var stickObj = this;
+        var ret = [];
+
+        for (var snrHex in stickObj.weatherBroadcasts) {
+            ret.push(Object.assign({}, stickObj.weatherBroadcasts[snrHex]));
+        }
+        return ret;
+    }
+
     // ~ ~ method ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~
     vnBlindGetStatus(id) {
         log.silly("vnBlindGetStatus( (" + (typeof id) + ") \"" + id + "\" )");
@@ -780,6 +1375,56 @@ class Stick {
         return ret;
     };
 
+    // ~ ~ method ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~
+    getQueueStatus() {
+        log.silly("getQueueStatus()");
+        var stickObj = this;
+        var now = Date.now();
+        var queue = stickObj.wmsMsgQueue;
+        var queued = privateCmdQueueAll(stickObj);
+        var current = stickObj.currentWmsMsg;
+
+        privateQueueActivityPrune(stickObj, now);
+        var busyMsec = 0;
+        stickObj.queueActivity.busy.forEach(function (period) {
+            busyMsec += period[1] - Math.max(period[0], now - QUEUE_ACTIVITY_WINDOW_MSEC);
+        });
+        if (current && current.comTs) {
+            busyMsec += now - Math.max(current.comTs.getTime(), now - QUEUE_ACTIVITY_WINDOW_MSEC);
+        }
+
+        var ret = {
+            depth: queued.length,
+            stopDepth: queue.stop.length,
+            stickDepth: queue.stick.length,
+            blindDepth: queued.length - queue.stop.length - queue.stick.length,
+            blindsWaiting: queue.blindOrder.length,
+            oldestAgeMsec: queued.reduce(function (age, wmsMsg) {
+                return Math.max(age, now - wmsMsg.queuedTs.getTime());
+            }, 0),
+            inFlight: null,
+            retrying: queued.filter(function (wmsMsg) {
+                return wmsMsg.sendCount > 0;
+            }).length,
+            commandsPerMinute: stickObj.queueActivity.sent.length * 60000 / QUEUE_ACTIVITY_WINDOW_MSEC,
+            dutyCycle: busyMsec / QUEUE_ACTIVITY_WINDOW_MSEC
+        };
+        if (current) {
+            ret.inFlight = {
+                msgType: current.msgType,
+                snr: wmsUtil.snrHexToNum(current.snr),
+                sendCount: current.sendCount,
+                ageMsec: now - current.queuedTs.getTime(),
+                sentMsec: now - current.comTs.getTime()
+            };
+            if (current.sendCount > 1) {
+                ret.retrying++;
+            }
+        }
+
+        return ret;
+    };
+
     // ~ ~ method ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~
     setWatchMovingBlindsInterval(intervalMsec) {
         log.silly("setWatchMovingInterval( intervalMsec: " + intervalMsec + " )");
@@ -824,32 +1469,24 @@ class Stick {
         log.silly("setPosUpdInterval( intervalMsec: " + intervalMsec + " )");
         var stickObj = this;
 
-        // . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
-        function doPosUpdInterval() {
-            log.silly("doPosUpdInterval()");
-            for (var i = 0; i < stickObj.vnBlinds.length; i++) {
-                stickObj.vnBlindGetPosition(stickObj.vnBlinds[i].snr, {
-                    cmdConfirmation: false,
-                    callbackOnUnchangedPos: false
-                });
-            }
-        }
-
-        // . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
-
-        // Clear prevoius position update interval
+        // Clear prevoius position update scheduler
         if (stickObj.posUpdIntervalTimer) {
             clearInterval(stickObj.posUpdIntervalTimer);
             stickObj.posUpdIntervalTimer = undefined;
             stickObj.posUpdIntervalMsec = 0;
         }
 
-        // Setup cyclic position update
-        if (intervalMsec >= 5000) {
-            doPosUpdInterval(); // Execute once immediateliy
-            stickObj.posUpdIntervalTimer = setInterval(doPosUpdInterval, intervalMsec); // Execute in interval
+        // Setup adaptive position update, the first polls evenly spread over the interval
+        if (intervalMsec >= POLL_MIN_MSEC) {
+            var now = Date.now();
+            stickObj.vnBlinds.forEach(function (blind, index) {
+                blind.pollNextTs = now + Math.round(index * intervalMsec / stickObj.vnBlinds.length);
+            });
+            stickObj.posUpdIntervalTimer = setInterval(function () {
+                privatePollSchedulerTick(stickObj);
+            }, POLL_TICK_MSEC);
             stickObj.posUpdIntervalMsec = intervalMsec;
-            log.info("Interval for position update: " + (intervalMsec / 1000) + " seconds.");
+            log.info("Interval for position update: " + (intervalMsec / 1000) + " seconds (adaptive).");
         } else {
             log.info("Interval for position update: cleared.");
         }
@@ -861,8 +1498,8 @@ class Stick {
     }
 
     // ~ ~ method ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~
-    vnBlindSetPosition(id, position, angle) {
-        log.info("vnBlindSetPosition( (" + (typeof id) + ") \"" + id + "\", " + position + ", " + angle + " )");
+    vnBlindSetPosition(id, position, angle, valance_1, valance_2, onDone) { // valances omitted: keep current
+        log.info("vnBlindSetPosition( (" + (typeof id) + ") \"" + id + "\", " + position + ", " + angle + ", " + valance_1 + ", " + valance_2 + " )");
         var stickObj = this;
         var blind = stickObj.vnBlindGet(id);
 
@@ -870,39 +1507,46 @@ class Stick {
         function vnBlindSetPositionCompletion(error, wmsMsgSend, wmsMsgRcv) {
             privateHandleWmsCompletionGeneric(error, wmsMsgSend, wmsMsgRcv);
 
-            if (this.enableCmdConfirmationNotification) {
+            if (stickObj.enableCmdConfirmationNotification) {
                 stickObj.callback(error, {
                     topic: "wms-vb-cmd-result-set-position", payload: {
                         error: error,
                         snr: blind.snr, snrHex: blind.snrHex, name: blind.name,
-                        position: blind.posRequested.pos, angle: blind.posRequested.ang
+                        position: blind.posRequested.pos, angle: blind.posRequested.ang,
+                        valance_1: blind.posRequested.valance_1, valance_2: blind.posRequested.valance_2
                     }
                 });
             }
 
             if (!error) {
-                privateUpdateBlindPosWithCallback(blind, new VnBlindPos(blind.posCurrent.pos, blind.posCurrent.ang, true/*moving*/), stickObj.callback);
+                privateUpdateBlindPosWithCallback(blind, new VnBlindPos(blind.posCurrent.pos, blind.posCurrent.ang, true/*moving*/, blind.posCurrent.valance_1, blind.posCurrent.valance_2), stickObj.callback);
+            }
+            if (onDone) {
+                onDone(error, wmsMsgRcv);
             }
         }
 
         // . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
 
         if (blind) {
-            blind.posRequested = new VnBlindPos(position, angle, true/*moving*/);
+            blind.posRequested = new VnBlindPos(position, angle, true/*moving*/, valance_1, valance_2);
+            privateBlindCommanded(blind);
             privateCmdQueueEnqueue(stickObj, new wmsUtil.wmsMsgNew("blindMoveToPos", blind.snr, {
                 pos: position,
-                ang: angle
+                ang: angle,
+                valance_1: blind.posRequested.valance_1,
+                valance_2: blind.posRequested.valance_2
             }), vnBlindSetPositionCompletion);
             setTimeout(function () {
                 privateCmdQueueProcess(stickObj);
             }, DELAY_MSG_PROC);
         } else {
-            log.W("vnBlindSetPosition: Cannot find blind \"" + id + "\".");
+            log.warn("vnBlindSetPosition: Cannot find blind \"" + id + "\".");
         }
     }
 
     // ~ ~ method ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~
-    vnBlindGetPosition(id, optionsPar) {
+    vnBlindGetPosition(id, optionsPar, onDone) {
         log.silly("vnBlindGetPosition( (" + (typeof id) + ") \"" + id + "\" )");
         var stickObj = this;
         const defaultOptions = Object.freeze({cmdConfirmation: true, callbackOnUnchangedPos: true});
@@ -913,7 +1557,7 @@ class Stick {
         function vnBlindGetPositionCompletion(error, wmsMsgSend, wmsMsgRcv) {
             privateHandleWmsCompletionGeneric(error, wmsMsgSend, wmsMsgRcv);
 
-            if (this.enableCmdConfirmationNotification && options.cmdConfirmation) {
+            if (stickObj.enableCmdConfirmationNotification && options.cmdConfirmation) {
                 stickObj.callback(error, {
                     topic: "wms-vb-cmd-result-get-position", payload: {
                         error: error,
@@ -924,9 +1568,12 @@ class Stick {
             if (!error) {
                 privateUpdateBlindPosWithCallback(
                     blind,
-                    new VnBlindPos(wmsMsgRcv.params.position, wmsMsgRcv.params.angle, wmsMsgRcv.params.moving),
+                    new VnBlindPos(wmsMsgRcv.params.position, wmsMsgRcv.params.angle, wmsMsgRcv.params.moving, wmsMsgRcv.params.valance_1, wmsMsgRcv.params.valance_2),
                     stickObj.callback, options);
             }
+            if (onDone) {
+                onDone(error, wmsMsgRcv);
+            }
         }
 
         // . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
@@ -939,7 +1586,7 @@ class Stick {
             var blind = stickObj.vnBlindGet(id);
 
             if (!blind) {
-                log.W("vnBlindGetPosition: Cannot find blind \"" + id + "\".");
+                log.warn("vnBlindGetPosition: Cannot find blind \"" + id + "\".");
             } else {
                 privateCmdQueueEnqueue(stickObj, new wmsUtil.wmsMsgNew("blindGetPos", blind.snr, {}), vnBlindGetPositionCompletion);
                 setTimeout(function () {
@@ -950,7 +1597,223 @@ class Stick {
     }
 
     // ~ ~ method ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~
-    vnBlindStop(id, getPosOnStop = true) {
+    vnBlindGetAutoSettings(id, onDone) { // Automatic modes & limits (wind, rain, sun, dusk) of the receiver
+        log.silly("vnBlindGetAutoSettings( (" + (typeof id) + ") \"" + id + "\" )");
+        var stickObj = this;
+
+        // . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+        function vnBlindGetAutoSettingsCompletion(error, wmsMsgSend, wmsMsgRcv) {
+            privateHandleWmsCompletionGeneric(error, wmsMsgSend, wmsMsgRcv);
+
+            if (!error) {
+                privateUpdateBlindAutoSettings(stickObj, blind, wmsMsgRcv);
+            }
+            if (onDone) {
+                onDone(error, wmsMsgRcv);
+            }
+        }
+
+        // . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+        if (!id) {
+            for (var i = 0; i < stickObj.vnBlinds.length; i++) {
+                stickObj.vnBlindGetAutoSettings(stickObj.vnBlinds[i].snr);
+            }
+        } else {
+            var blind = stickObj.vnBlindGet(id);
+
+            if (!blind) {
+                log.warn("vnBlindGetAutoSettings: Cannot find blind \"" + id + "\".");
+            } else {
+                privateCmdQueueEnqueue(stickObj, new wmsUtil.wmsMsgNew("blindGetAutoSettings", blind.snr, {}), vnBlindGetAutoSettingsCompletion);
+                setTimeout(function () {
+                    privateCmdQueueProcess(stickObj);
+                }, DELAY_MSG_PROC);
+            }
+        }
+    }
+
+    // ~ ~ method ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~
+    // settings: any of { windLimit, rainEnabled, sunLimit, duskLimit, autoEnabled }. The current
+    // settings are read first (to keep unknown parts), then written and read back for verification.
+    vnBlindSetAutoSettings(id, settings, onDone) {
+        log.info("vnBlindSetAutoSettings( (" + (typeof id) + ") \"" + id + "\", " + JSON.stringify(settings) + " )");
+        var stickObj = this;
+        var blind = stickObj.vnBlindGet(id);
+
+        // . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+        function setAutoSettingsResult(error, wmsMsgRcv) {
+            stickObj.callback(error || null, {
+                topic: "wms-vb-cmd-result-set-auto-settings", payload: {
+                    error: error,
+                    snr: blind.snr, snrHex: blind.snrHex, name: blind.name,
+                    requested: settings,
+                    autoSettings: blind.autoSettings
+                }
+            });
+            if (onDone) {
+                onDone(error, wmsMsgRcv);
+            }
+        }
+
+        // . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+        function verifyCompletion(error, wmsMsgSend, wmsMsgRcv) {
+            privateHandleWmsCompletionGeneric(error, wmsMsgSend, wmsMsgRcv);
+
+            if (error) {
+                setAutoSettingsResult("Read-back of auto settings failed: " + error);
+                return;
+            }
+            privateUpdateBlindAutoSettings(stickObj, blind, wmsMsgRcv);
+
+            var mismatch = Object.keys(settings).filter(function (key) {
+                return blind.autoSettings[key] !== settings[key];
+            });
+            if (mismatch.length > 0) {
+                setAutoSettingsResult("Auto settings not accepted by receiver: " + mismatch.join(", "), wmsMsgRcv);
+            } else {
+                setAutoSettingsResult("", wmsMsgRcv);
+            }
+        }
+
+        // . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+        function writeCompletion(error, wmsMsgSend, wmsMsgRcv) {
+            // Receivers do not always answer the parameter set, the read-back decides.
+            privateHandleWmsCompletionGeneric(error, wmsMsgSend, wmsMsgRcv);
+
+            privateCmdQueueEnqueue(stickObj, new wmsUtil.wmsMsgNew("blindGetAutoSettings", blind.snr, {}), verifyCompletion);
+            setTimeout(function () {
+                privateCmdQueueProcess(stickObj);
+            }, DELAY_MSG_PROC);
+        }
+
+        // . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+        function readCompletion(error, wmsMsgSend, wmsMsgRcv) {
+            privateHandleWmsCompletionGeneric(error, wmsMsgSend, wmsMsgRcv);
+
+            if (error) {
+                setAutoSettingsResult("Reading auto settings before write failed: " + error);
+                return;
+            }
+            privateUpdateBlindAutoSettings(stickObj, blind, wmsMsgRcv);
+
+            var raw = Object.assign({}, blind.autoSettingsRaw);
+            if (settings.windLimit !== undefined) {
+                raw.wind = settings.windLimit;
+            }
+            if (settings.rainEnabled !== undefined) {
+                raw.rain = settings.rainEnabled ? (raw.rain || 1) : 0;
+            }
+            if (settings.sunLimit !== undefined) {
+                raw.sun = settings.sunLimit;
+            }
+            if (settings.duskLimit !== undefined) {
+                raw.dusk = settings.duskLimit;
+            }
+            if (settings.autoEnabled !== undefined) {
+                raw.op = settings.autoEnabled ? (raw.op || 1) : 0;
+            }
+
+            privateCmdQueueEnqueue(stickObj, new wmsUtil.wmsMsgNew("blindSetAutoSettings", blind.snr, raw), writeCompletion);
+            setTimeout(function () {
+                privateCmdQueueProcess(stickObj);
+            }, DELAY_MSG_PROC);
+        }
+
+        // . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+        if (blind) {
+            privateCmdQueueEnqueue(stickObj, new wmsUtil.wmsMsgNew("blindGetAutoSettings", blind.snr, {}), readCompletion);
+            setTimeout(function () {
+                privateCmdQueueProcess(stickObj);
+            }, DELAY_MSG_PROC);
+        } else {
+            log.warn("vnBlindSetAutoSettings: Cannot find blind \"" + id + "\".");
+        }
+    }
+
+    // ~ ~ method ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~
+    // Reads the receiver's clock and measures its drift against the local time of the bridge.
+    // Receivers without clock don't answer: payload.error is set then.
+    vnBlindGetClock(id, onDone) {
+        log.silly("vnBlindGetClock( (" + (typeof id) + ") \"" + id + "\" )");
+        var stickObj = this;
+        var blind = stickObj.vnBlindGet(id);
+
+        // . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+        function vnBlindGetClockCompletion(error, wmsMsgSend, wmsMsgRcv) {
+            privateHandleWmsCompletionGeneric(error, wmsMsgSend, wmsMsgRcv);
+
+            var payload = {error: error, snr: blind.snr, snrHex: blind.snrHex, name: blind.name};
+            if (!error) {
+                var p = wmsMsgRcv.params;
+                var deviceDate = new Date(2000 + p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+                blind.clock = {
+                    year: 2000 + p.year, month: p.month, day: p.day,
+                    hour: p.hour, minute: p.minute, second: p.second, dayOfWeek: p.day_of_week,
+                    driftSec: Math.round((deviceDate.getTime() - wmsMsgRcv.rcvTs.getTime()) / 1000),
+                    ts: wmsMsgRcv.rcvTs
+                };
+                payload.clock = blind.clock;
+            }
+            stickObj.callback(null/*err*/, {topic: "wms-vb-blind-clock", payload: payload});
+            if (onDone) {
+                onDone(error, wmsMsgRcv);
+            }
+        }
+
+        // . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+        if (blind) {
+            privateCmdQueueEnqueue(stickObj, new wmsUtil.wmsMsgNew("blindGetClock", blind.snr, {}), vnBlindGetClockCompletion);
+            setTimeout(function () {
+                privateCmdQueueProcess(stickObj);
+            }, DELAY_MSG_PROC);
+        } else {
+            log.warn("vnBlindGetClock: Cannot find blind \"" + id + "\".");
+        }
+    }
+
+    // ~ ~ method ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~
+    vnBlindSetClock(id, date, onDone) { // date defaults to now, local time of the bridge
+        log.silly("vnBlindSetClock( (" + (typeof id) + ") \"" + id + "\" )");
+        var stickObj = this;
+        var blind = stickObj.vnBlindGet(id);
+
+        // . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+        function vnBlindSetClockCompletion(error, wmsMsgSend, wmsMsgRcv) {
+            privateHandleWmsCompletionGeneric(error, wmsMsgSend, wmsMsgRcv);
+
+            stickObj.callback(null/*err*/, {
+                topic: "wms-vb-cmd-result-set-clock", payload: {
+                    error: error,
+                    snr: blind.snr, snrHex: blind.snrHex, name: blind.name
+                }
+            });
+            if (onDone) {
+                onDone(error, wmsMsgRcv);
+            }
+        }
+
+        // . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
+        if (blind) {
+            // Set the time the message is actually sent, not the time it was queued
+            var clockMsg = new wmsUtil.wmsMsgNew("blindSetClock", blind.snr, privateClockParams(date || new Date()));
+            clockMsg.refreshParams = date ? undefined : function () {
+                return privateClockParams(new Date());
+            };
+            privateCmdQueueEnqueue(stickObj, clockMsg, vnBlindSetClockCompletion);
+            setTimeout(function () {
+                privateCmdQueueProcess(stickObj);
+            }, DELAY_MSG_PROC);
+        } else {
+            log.warn("vnBlindSetClock: Cannot find blind \"" + id + "\".");
+        }
+    }
+
+    // ~ ~ method ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~
+    vnBlindStop(id, getPosOnStop = true, onDone) {
         log.silly("vnBlindStop( (" + (typeof id) + ") \"" + id + "\" " + getPosOnStop + ")");
         var stickObj = this;
 
@@ -971,12 +1834,15 @@ class Stick {
             function vnBlindStopCompletion(error, wmsMsgSend, wmsMsgRcv) {
                 privateHandleWmsCompletionGeneric(error, wmsMsgSend, wmsMsgRcv);
 
-                if (this.enableCmdConfirmationNotification) {
+                if (stickObj.enableCmdConfirmationNotification) {
                     stickObj.callback(error, {
                         topic: "wms-vb-cmd-result-stop",
                         payload: {error: error, snr: blind.snr, snrHex: blind.snrHex, name: blind.name}
                     });
                 }
+                if (onDone) {
+                    onDone(error, wmsMsgRcv);
+                }
             }
 
             // . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
@@ -985,6 +1851,7 @@ class Stick {
                 // Before STOP remove allother  pending commands or blind
                 privateCmdQueueRemove(stickObj, null/*msgType*/, blind.snr);
 
+                privateBlindCommanded(blind);
                 privateCmdQueueEnqueue(stickObj, new wmsUtil.wmsMsgNew("blindStopMove", blind.snr, {}), vnBlindStopCompletion);
                 setTimeout(function () {
                     privateCmdQueueProcess(stickObj);
@@ -994,30 +1861,41 @@ class Stick {
                     stickObj.vnBlindGetPosition(blind.snr);
                 }
             } else {
-                log.W("vnBlindStop: Cannot find blind \"" + id + "\".");
+                log.warn("vnBlindStop: Cannot find blind \"" + id + "\".");
             }
 
         }
     }
 
     // ~ ~ method ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~
-    vnBlindWaveRequest(id) {
+    vnBlindWaveRequest(id, onDone) {
         log.silly("vnBlindWaveRequest( (" + (typeof id) + ") \"" + id + "\" )");
         var stickObj = this;
 
+        // . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+        function vnBlindWaveRequestCompletion(error, wmsMsgSend, wmsMsgRcv) {
+            privateHandleWmsCompletionGeneric(error, wmsMsgSend, wmsMsgRcv);
+
+            if (onDone) {
+                onDone(error, wmsMsgRcv);
+            }
+        }
+
+        // . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . . .
+
         var blind = stickObj.vnBlindGet(id);
         if (blind) {
-            privateCmdQueueEnqueue(stickObj, new wmsUtil.wmsMsgNew("waveRequest", blind.snr, {}), privateHandleWmsCompletionGeneric);
+            privateCmdQueueEnqueue(stickObj, new wmsUtil.wmsMsgNew("waveRequest", blind.snr, {}), vnBlindWaveRequestCompletion);
             setTimeout(function () {
                 privateCmdQueueProcess(stickObj);
             }, DELAY_MSG_PROC);
         } else {
-            log.W("vnBlindWaveRequest: Cannot find blind \"" + id + "\".");
+            log.warn("vnBlindWaveRequest: Cannot find blind \"" + id + "\".");
         }
     }
 
     // ~ ~ method ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~
-    vnBlindSlatTiltOver(id, diff) {
+    vnBlindSlatTiltOver(id, diff, onDone) { // onDone after the move, not the position request
         log.silly("slatTiltOver( (" + (typeof id) + ") \"" + id + "\" " + diff + " )");
         var stickObj = this;
         var blind = stickObj.vnBlindGet(id);
@@ -1031,7 +1909,7 @@ class Stick {
                 if (wmsMsgRcv.msgType === "position") {
                     if (!error) {
                         privateUpdateBlindPosWithCallback(blind,
-                            new VnBlindPos(wmsMsgRcv.params.position, wmsMsgRcv.params.angle, wmsMsgRcv.params.moving),
+                            new VnBlindPos(wmsMsgRcv.params.position, wmsMsgRcv.params.angle, wmsMsgRcv.params.moving, wmsMsgRcv.params.valance_1, wmsMsgRcv.params.valance_2),
                             stickObj.callback);
 
                         // Positions: -100, -67, -33, 0, 33, 67 , 100
@@ -1042,6 +1920,7 @@ class Stick {
 
 
                         blind.posRequested = new VnBlindPos(wmsMsgRcv.params.position, newAngle, true/*moving*/);
+                        privateBlindCommanded(blind);
                         privateCmdQueueEnqueue(stickObj, new wmsUtil.wmsMsgNew("blindMoveToPos", blind.snr,
                                 {pos: blind.posRequested.pos, ang: blind.posRequested.ang}),
                             vnBlindSlatTiltOverCompletion);
@@ -1050,9 +1929,14 @@ class Stick {
                         }, DELAY_MSG_PROC);
                     }
                 } else {
-                    privateUpdateBlindPosWithCallback(blind, new VnBlindPos(blind.posCurrent.pos, blind.posCurrent.ang, true/*moving*/), stickObj.callback);
+                    privateUpdateBlindPosWithCallback(blind, new VnBlindPos(blind.posCurrent.pos, blind.posCurrent.ang, true/*moving*/, blind.posCurrent.valance_1, blind.posCurrent.valance_2), stickObj.callback);
+                    if (onDone) {
+                        onDone(error, wmsMsgRcv);
+                    }
                 }
 
+            } else if (onDone) {
+                onDone(error, wmsMsgRcv);
             }
         }
 
@@ -1064,23 +1948,106 @@ class Stick {
                 privateCmdQueueProcess(stickObj);
             }, DELAY_MSG_PROC);
         } else {
-            log.W("slatTiltOver: Cannot find blind \"" + id + "\".");
+            log.warn("slatTiltOver: Cannot find blind \"" + id + "\".");
         }
 
     }
 
     // ~ ~ method ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~
-    vnBlindSlatUp(id) {
+    vnBlindSlatUp(id, onDone) {
         log.silly("slatUp( (" + (typeof id) + ") \"" + id + "\" )");
         var stickObj = this;
-        stickObj.vnBlindSlatTiltOver(id, -1);
+        stickObj.vnBlindSlatTiltOver(id, -1, onDone);
     }
 
     // ~ ~ method ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~
-    vnBlindSlatDown(id) {
+    vnBlindSlatDown(id, onDone) {
         log.silly("slatDown( (" + (typeof id) + ") \"" + id + "\" )");
         var stickObj = this;
-        stickObj.vnBlindSlatTiltOver(id, 1);
+        stickObj.vnBlindSlatTiltOver(id, 1, onDone);
+    }
+
+    // ~ ~ method ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~
+    // Promise based variants of the vnBlind... commands for a single blind. They resolve with the
+    // decoded response (msgType, snr, params) and reject with an Error, its code being the queue's
+    // error ("timeout" after all retries, "disconnected", "removed", "unknown blind", ...).
+    setPosition(id, position, angle, valance_1, valance_2) {
+        var stickObj = this;
+        return privateBlindPromise(stickObj, "setPosition", id, function (onDone) {
+            stickObj.vnBlindSetPosition(id, position, angle, valance_1, valance_2, onDone);
+        });
+    }
+
+    // ~ ~ method ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~
+    getPosition(id, optionsPar) {
+        var stickObj = this;
+        return privateBlindPromise(stickObj, "getPosition", id, function (onDone) {
+            stickObj.vnBlindGetPosition(id, optionsPar, onDone);
+        });
+    }
+
+    // ~ ~ method ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~
+    stop(id, getPosOnStop = true) {
+        var stickObj = this;
+        return privateBlindPromise(stickObj, "stop", id, function (onDone) {
+            stickObj.vnBlindStop(id, getPosOnStop, onDone);
+        });
+    }
+
+    // ~ ~ method ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~
+    slatUp(id) {
+        var stickObj = this;
+        return privateBlindPromise(stickObj, "slatUp", id, function (onDone) {
+            stickObj.vnBlindSlatUp(id, onDone);
+        });
+    }
+
+    // ~ ~ method ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~
+    slatDown(id) {
+        var stickObj = this;
+        return privateBlindPromise(stickObj, "slatDown", id, function (onDone) {
+            stickObj.vnBlindSlatDown(id, onDone);
+        });
+    }
+
+    // ~ ~ method ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~
+    waveRequest(id) {
+        var stickObj = this;
+        return privateBlindPromise(stickObj, "waveRequest", id, function (onDone) {
+            stickObj.vnBlindWaveRequest(id, onDone);
+        });
+    }
+
+    // ~ ~ method ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~
+    getAutoSettings(id) {
+        var stickObj = this;
+        return privateBlindPromise(stickObj, "getAutoSettings", id, function (onDone) {
+            stickObj.vnBlindGetAutoSettings(id, onDone);
+        });
+    }
+
+    // ~ ~ method ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~
+    setAutoSettings(id, settings) { // resolves with the read-back
+        var stickObj = this;
+        return privateBlindPromise(stickObj, "setAutoSettings", id, function (onDone) {
+            stickObj.vnBlindSetAutoSettings(id, settings, onDone);
+        });
+    }
+
+    // ~ ~ method ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~
+    getClock(id) {
+        var stickObj = this;
+        return privateBlindPromise(stickObj, "getClock", id, function (onDone) {
+            stickObj.vnBlindGetClock(id, onDone);
+        });
+    }
+
+    // ~ ~ method ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~ ~
+    setClock(id, date) {
+        var stickObj = this;
+        return privateBlindPromise(stickObj, "setClock", id, function (onDone) {
+            stickObj.vnBlindSetClock(id, date, onDone);
+        });
     }
 
 
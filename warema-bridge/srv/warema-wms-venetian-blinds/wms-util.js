@@ -8,6 +8,12 @@ exports.snrHexToNum = snrHexToNum;
 exports.wmsMsgNew = wmsMsgNew;
 exports.encodeCmd = encodeCmd;
 exports.decodeStickCmd = decodeStickCmd;
+exports.wmsPosHexToPercent = wmsPosHexToPercent;
+exports.wmsPosPercentToHex = wmsPosPercentToHex;
+exports.wmsAngleHexToPercent = wmsAngleHexToPercent;
+exports.wmsAnglePercentToHex = wmsAnglePercentToHex;
+exports.wmsValanceHexToPercent = wmsValanceHexToPercent;
+exports.wmsValancePercentToHex = wmsValancePercentToHex;
 
 //trim wms string
 function wmsTrim(data) {
@@ -86,6 +92,21 @@ function wmsMsgNew(cmd, snr, params) {
                 this.delayAfter = 100;
                 this.retry = 5;
                 break;
+            case "blindGetAutoSettings":
+                this.timeout = 500;
+                this.delayAfter = 100;
+                this.retry = 3;
+                break;
+            case "blindSetAutoSettings":
+            case "blindSetClock":
+                this.timeout = 500;
+                this.delayAfter = 100;
+                break;
+            case "blindGetClock":
+                this.timeout = 500;
+                this.delayAfter = 100;
+                this.retry = 2;
+                break;
             case "blindMoveToPos":
                 this.timeout = 500;
                 this.delayAfter = 300;
@@ -125,6 +146,34 @@ function encodeCmd(cmd, snr, params) {
             ret.expect.snr = snrHex;
             ret.cmd = '{R06' + snrHex + '8010' + '01000005}';
             break;
+        case "blindGetAutoSettings":
+            ret.expect.msgType = "autoSettings";
+            ret.expect.snr = snrHex;
+            ret.cmd = '{R06' + snrHex + '8010' + '0C000006}';
+            break;
+        case "blindSetAutoSettings":
+            // Same layout as the 0C000006 parameterGetResponse, unknown parts are written back as read.
+            ret.expect.msgType = "parameterSetResponse";
+            ret.expect.snr = snrHex;
+            ret.cmd = '{R06' + snrHex + '8020' + '0C000006' +
+                params.unknown_1 + wmsByteToHex(params.wind) + params.unknown_2 +
+                wmsByteToHex(params.rain) + wmsByteToHex(params.sun) + wmsByteToHex(params.dusk) + wmsByteToHex(params.op) +
+                params.unknown_3 + '}';
+            break;
+        case "blindGetClock":
+            ret.expect.msgType = "clock";
+            ret.expect.snr = snrHex;
+            ret.cmd = '{R06' + snrHex + '8010' + '0B080009}';
+            break;
+        case "blindSetClock":
+            // YY MM DD hh mm ss WD (year since 2000, day of week 1: monday .. 7: sunday)
+            ret.expect.msgType = "parameterSetResponse";
+            ret.expect.snr = snrHex;
+            ret.cmd = '{R06' + snrHex + '8020' + '0B080009' +
+                wmsByteToHex(params.year) + wmsByteToHex(params.month) + wmsByteToHex(params.day) +
+                wmsByteToHex(params.hour) + wmsByteToHex(params.minute) + wmsByteToHex(params.second) +
+                wmsByteToHex(params.day_of_week) + '}';
+            break;
         case "blindMoveToPos":
             if (params.pos === undefined) {
                 log.error("wmsUtil: blindMoveToPos: pos undefined. Assuming 0.");
@@ -136,7 +185,9 @@ function encodeCmd(cmd, snr, params) {
             }
             ret.expect.msgType = "blindMoveToPosResponse";
             ret.expect.snr = snrHex;
-            ret.cmd = '{R06' + snrHex + '7070' + '03' + wmsPosPercentToHex(params.pos) + wmsAnglePercentToHex(params.ang) + 'FFFF}'; //no idea how valance works
+            // Valances not given are sent as FF (keep current)
+            ret.cmd = '{R06' + snrHex + '7070' + '03' + wmsPosPercentToHex(params.pos) + wmsAnglePercentToHex(params.ang) +
+                wmsValancePercentToHex(params.valance_1) + wmsValancePercentToHex(params.valance_2) + '}';
             break;
         case "blindStopMove":
             ret.cmd = '{R06' + snrHex + "7070" + "01" + "FF" + "FF" + "FFFF00}";
@@ -234,17 +285,33 @@ function decodeStickCmd(rcv) {
                         msgType = "position";
                         params.position = wmsPosHexToPercent(payload.substr(8, 2));
                         params.angle = wmsAngleHexToPercent(payload.substr(10, 2));
-                        params.valance_1 = payload.substr(12, 2);
-                        params.valance_2 = payload.substr(14, 2);
+                        params.valance_1 = wmsValanceHexToPercent(payload.substr(12, 2));
+                        params.valance_2 = wmsValanceHexToPercent(payload.substr(14, 2));
                         params.moving = !(payload.substr(16, 2) === '00');
                         break;
                     case '0C000006': //auto modes & limits
+                        // {rAAAAAA80110C000006U1U1WWU2U2U2U2RRSSDDOO...}
+                        // WW = wind limit in m/s (00: off), RR = rain automatic (00: off),
+                        // SS = sun limit, DD = dusk limit (00: off), OO = automatic operation (00: off)
+                        msgType = "autoSettings";
                         params.type = 'autoSettings';
+                        params.unknown_1 = payload.substr(8, 4);
                         params.wind = parseInt(payload.substr(12, 2), 16);
+                        params.unknown_2 = payload.substr(14, 8);
                         params.rain = parseInt(payload.substr(22, 2), 16);
                         params.sun = parseInt(payload.substr(24, 2), 16);
                         params.dusk = parseInt(payload.substr(26, 2), 16);
                         params.op = parseInt(payload.substr(28, 2), 16);
+                        params.unknown_3 = payload.substr(30).replace(/}$/, '');
+                        params.windLimit = params.wind;
+                        params.rainEnabled = params.rain !== 0;
+                        params.sunLimit = params.sun;
+                        params.duskLimit = params.dusk;
+                        params.autoEnabled = params.op !== 0;
+                        break;
+                    case '0B080009': //clock
+                        msgType = 'clock';
+                        wmsDecodeClock(payload, params);
                         break;
                     case '26000046':
                         params.type = 'clock';
@@ -257,8 +324,8 @@ function decodeStickCmd(rcv) {
                 params.unknown1 = payload.substr(0, 10);
                 params.prevPosition = wmsPosHexToPercent(payload.substr(10, 2));
                 params.prevAngle = wmsAngleHexToPercent(payload.substr(12, 2));
-                params.prevValance_1 = payload.substr(14, 2);
-                params.prevValance_2 = payload.substr(16, 2);
+                params.prevValance_1 = wmsValanceHexToPercent(payload.substr(14, 2));
+                params.prevValance_2 = wmsValanceHexToPercent(payload.substr(16, 2));
                 params.unknown2 = payload.substr(18, 8);
                 break;
             case '7080':
@@ -277,18 +344,14 @@ function decodeStickCmd(rcv) {
                 switch (parameterType) {
                     case '0B080009': //clock
                         msgType = 'clock';
-                        params.year = parseInt(payload.substr(8, 2), 16);
-                        params.month = parseInt(payload.substr(10, 2), 16);
-                        params.day = parseInt(payload.substr(12, 2), 16);
-                        params.hour = parseInt(payload.substr(14, 2), 16);
-                        params.minute = parseInt(payload.substr(16, 2), 16);
-                        params.second = parseInt(payload.substr(18, 2), 16);
-                        params.day_of_week = parseInt(payload.substr(20, 2), 16);
-                        params.unknown = payload.substr(22);
-                        break;
+                        wmsDecodeClock(payload, params);
                         break;
                 }
                 break;
+            case '8021':
+                msgType = 'parameterSetResponse';
+                params.parameter = wmsTrim(payload.substr(0, 8));
+                break;
             case '5018':
                 msgType = 'joinNetworkRequest';
                 params.panId = payload.substr(0, 4);
@@ -314,33 +377,23 @@ function decodeStickCmd(rcv) {
             case '7021':
                 msgType = 'scanResponse';
                 params.deviceType = payload.substr(4, 2); //63: Wetterstation, 06: Webcontrol, 02: Stick/software, 20: Zwischenstecker, 21: Aktor UP
-                params.deviceTypeStr = "<unknown>";
                 params.panId = payload.substr(0, 4);
                 params.unknown = payload.substr(6); //optional
-                switch (params.deviceType) {
-					case '02': params.deviceTypeStr = 'Stick/software   '; break;
-					case '06': params.deviceTypeStr = 'Weather station  '; break;
-					case '07': params.deviceTypeStr = 'Remote control(+)'; break;
-					case '09': params.deviceTypeStr = 'Webcontrol pro   '; break;
-					case '20': params.deviceTypeStr = 'Actuator UP      '; break;
-					case '21': params.deviceTypeStr = 'Plug receiver    '; break;
-					case '28': params.deviceTypeStr = 'LED              '; break;
-					case '25': params.deviceTypeStr = 'Radio motor      '; break;
-					case '2A': params.deviceTypeStr = 'LAMAXA L50/60    '; break;
-					case '63': params.deviceTypeStr = 'Weather st. pro  '; break;
-                }
                 break;
             case '7050':
                 msgType = 'waveRequest';
                 break;
             case '7070':
+                // Command of a hand-held transmitter or central: 03 move, 01 stop (position FF)
                 msgType = 'blindMoveToPos';
                 params.unknown = payload.substr(0, 2);
-                params.position = wmsPosHexToPercent(payload.substr(2, 2));
-				log.info('HexToPercent: ' + (payload.substr(4, 2)) + '!!!!!!!!!!!!');
-                params.angle = wmsAngleHexToPercent(payload.substr(4, 2));
-                params.valance_1 = payload.substr(6, 2);
-                params.valance_2 = payload.substr(8, 2);
+                params.action = (params.unknown === '01') ? 'stop' : 'move';
+                if (params.action === 'move') {
+                    params.position = wmsPosHexToPercent(payload.substr(2, 2));
+                    params.angle = wmsAngleHexToPercent(payload.substr(4, 2));
+                    params.valance_1 = wmsValanceHexToPercent(payload.substr(6, 2));
+                    params.valance_2 = wmsValanceHexToPercent(payload.substr(8, 2));
+                }
                 break;
             case '8010':
                 msgType = 'parameterGetRequest';
@@ -372,6 +425,24 @@ function wmsAnglePercentToHex(angPercent) {
 	return ('0' + (Math.round(angPercent / 100 * wmsAngle) + 84).toString(16)).substr(-2).toUpperCase()
 }
 
+//--------------------------------------------------------------------------------------------------
+function wmsDecodeClock(payload, params) {
+    // 0B080009YYMMDDhhmmssWD...
+    params.year = parseInt(payload.substr(8, 2), 16);
+    params.month = parseInt(payload.substr(10, 2), 16);
+    params.day = parseInt(payload.substr(12, 2), 16);
+    params.hour = parseInt(payload.substr(14, 2), 16);
+    params.minute = parseInt(payload.substr(16, 2), 16);
+    params.second = parseInt(payload.substr(18, 2), 16);
+    params.day_of_week = parseInt(payload.substr(20, 2), 16);
+    params.unknown = payload.substr(22).replace(/}$/, '');
+}
+
+//--------------------------------------------------------------------------------------------------
+function wmsByteToHex(value) {
+    return ('0' + (Math.min(Math.max(Math.round(value), 0), 255)).toString(16)).substr(-2).toUpperCase();
+}
+
 //--------------------------------------------------------------------------------------------------
 function wmsPosHexToPercent(posHex) {
     return Math.round(parseInt(posHex, 16) / 2);
@@ -383,4 +454,20 @@ function wmsPosPercentToHex(posPercent) {
 }
 
 //--------------------------------------------------------------------------------------------------
+function wmsValanceHexToPercent(valanceHex) {
+    // FF: no valance (or unchanged)
+    if (!/^[0-9A-F]{2}$/i.test(valanceHex) || (valanceHex.toUpperCase() === 'FF')) {
+        return null;
+    }
+    return wmsPosHexToPercent(valanceHex);
+}
 
+//--------------------------------------------------------------------------------------------------
+function wmsValancePercentToHex(valancePercent) {
+    if ((valancePercent === undefined) || (valancePercent === null) || isNaN(valancePercent)) {
+        return 'FF';
+    }
+    return wmsPosPercentToHex(Math.round(valancePercent));
+}
+
+//--------------------------------------------------------------------------------------------------